@@ -1,4 +1,4 @@
-import { app, Tray, Menu, BrowserWindow, screen, globalShortcut, shell, ipcMain, nativeTheme, systemPreferences, desktopCapturer } from 'electron';
+import { app, Tray, Menu, BrowserWindow, screen, globalShortcut, shell, ipcMain, nativeTheme, systemPreferences, desktopCapturer, dialog, clipboard } from 'electron';
 import { updateElectronApp } from 'update-electron-app';
 import Store from 'electron-store';
 import { randomUUID } from 'crypto';
@@ -23,12 +23,33 @@ const KEY_SHOW_HIDE_WHITEBOARD = 'CmdOrCtrl+E'
 const KEY_CLEAR_DESK           = 'CmdOrCtrl+K'
 const KEY_SETTINGS             = 'CmdOrCtrl+,'
 const KEY_MAKE_SCREENSHOT      = 'CmdOrCtrl+Shift+P'
+const KEY_MAKE_SCREENSHOT_TO_CLIPBOARD = 'CmdOrCtrl+Shift+C'
+const KEY_MAKE_REGION_SCREENSHOT = 'CmdOrCtrl+Shift+R'
+const KEY_TOGGLE_RECORDING     = 'CmdOrCtrl+Alt+R'
+const KEY_SAVE_DESK            = 'CmdOrCtrl+S'
+const KEY_OPEN_DESK            = 'CmdOrCtrl+O'
+const KEY_EXPORT_SVG           = 'CmdOrCtrl+Shift+E'
+const KEY_EXPORT_PNG           = 'CmdOrCtrl+Shift+X'
 const KEY_Q                    = 'CmdOrCtrl+Q'
 const KEY_NULL                 = '[NULL]'
 
 let lastShortcutTime = 0;
 const throttleDelay = 250;
 
+const DESK_FILE_EXTENSION = 'drawpen'
+const CAPTURE_FILENAME_TEMPLATE = 'DRWPN-{date}-{time}'
+const CAPTURE_FORMATS = {
+  png:  { extension: 'png',  mimeType: 'image/png' },
+  jpeg: { extension: 'jpg',  mimeType: 'image/jpeg' },
+  webp: { extension: 'webp', mimeType: 'image/webp' },
+}
+const DESK_CHECKPOINT_FILENAME = 'checkpoint.drawpen'
+
+let deskCheckpointWrite = Promise.resolve()
+let recordingFile = null // { path, stream }
+const imageEncodings = new Map() // id -> { resolve, reject }
+let lastImageEncodingId = 0
+
 const schema = {
   user_id: {
     type: 'string',
@@ -62,6 +83,32 @@ const schema = {
     type: 'number',
     default: 1
   },
+  tool_bar_active_fill: {
+    type: 'string',
+    enum: ['none', 'solid', 'semi', 'hatched'],
+    default: 'none'
+  },
+  tool_bar_active_stroke_style: {
+    type: 'string',
+    enum: ['solid', 'dashed', 'dotted'],
+    default: 'solid'
+  },
+  tool_bar_active_corner_radius: {
+    type: 'number',
+    minimum: 0,
+    default: 10
+  },
+  tool_bar_active_shadow: {
+    type: 'boolean',
+    default: true
+  },
+  tool_bar_active_markers: {
+    type: 'object',
+    default: {
+      arrow: { start: 'none', end: 'triangle' },
+      line: { start: 'none', end: 'none' },
+    }
+  },
   tool_bar_default_brush: {
     type: 'string',
     default: 'pen'
@@ -77,6 +124,25 @@ const schema = {
     type: 'boolean',
     default: true
   },
+  show_grid: {
+    type: 'boolean',
+    default: false
+  },
+  grid_style: {
+    type: 'string',
+    enum: ['dots', 'lines'],
+    default: 'dots'
+  },
+  grid_spacing: {
+    type: 'number',
+    minimum: 10,
+    maximum: 100,
+    default: 20
+  },
+  snap_to_grid: {
+    type: 'boolean',
+    default: false
+  },
   show_cute_cursor: {
     type: 'boolean',
     default: true
@@ -105,6 +171,10 @@ const schema = {
     type: 'string',
     default: KEY_CLEAR_DESK
   },
+  key_binding_toggle_recording: {
+    type: 'string',
+    default: KEY_TOGGLE_RECORDING
+  },
   fade_disappear_after_ms: {
     type: 'number',
     default: 1500
@@ -125,6 +195,38 @@ const schema = {
     type: 'boolean',
     default: false
   },
+  restore_desk_on_start: {
+    type: 'boolean',
+    default: false
+  },
+  capture_destination: {
+    type: 'string',
+    enum: ['file', 'clipboard', 'both'],
+    default: 'file'
+  },
+  capture_directory: {
+    type: 'string',
+    default: ''
+  },
+  capture_filename_template: {
+    type: 'string',
+    default: CAPTURE_FILENAME_TEMPLATE
+  },
+  capture_counter: {
+    type: 'number',
+    default: 1
+  },
+  capture_format: {
+    type: 'string',
+    enum: Object.keys(CAPTURE_FORMATS),
+    default: 'png'
+  },
+  capture_quality: {
+    type: 'number',
+    minimum: 10,
+    maximum: 100,
+    default: 90
+  },
   drawing_monitor: {
     type: 'object',
     default: {
@@ -133,6 +235,10 @@ const schema = {
       label: null,
     }
   },
+  last_desk_directory: {
+    type: 'string',
+    default: ''
+  },
 };
 
 // rawLog('[STORE PATH]:', app.getPath('userData') + '/config.json');
@@ -187,6 +293,7 @@ function updateContextMenu() {
   const key_show_hide_toolbar    = store.get('key_binding_show_hide_toolbar')
   const key_show_hide_whiteboard = store.get('key_binding_show_hide_whiteboard')
   const key_clear_desk           = store.get('key_binding_clear_desk')
+  const key_toggle_recording     = store.get('key_binding_toggle_recording')
 
   const accelForTray = (accel) => {
     if (!accel) return undefined;
@@ -230,6 +337,27 @@ function updateContextMenu() {
       click: resetScreen
     },
     { type: 'separator' },
+    {
+      label: withAccelHint('Open Desk...', KEY_OPEN_DESK),
+      accelerator: accelForTray(KEY_OPEN_DESK),
+      click: openDesk
+    },
+    {
+      label: withAccelHint('Save Desk...', KEY_SAVE_DESK),
+      accelerator: accelForTray(KEY_SAVE_DESK),
+      click: requestSaveDesk
+    },
+    {
+      label: withAccelHint('Export as SVG', KEY_EXPORT_SVG),
+      accelerator: accelForTray(KEY_EXPORT_SVG),
+      click: requestExportSvg
+    },
+    {
+      label: withAccelHint('Export as PNG', KEY_EXPORT_PNG),
+      accelerator: accelForTray(KEY_EXPORT_PNG),
+      click: requestExportPng
+    },
+    { type: 'separator' },
     {
       label: 'Reset to original',
       click: resetApp
@@ -243,7 +371,22 @@ function updateContextMenu() {
     {
       label: 'Capture Screen (Beta)',
       accelerator: accelForTray(KEY_MAKE_SCREENSHOT),
-      click: makeScreenshot
+      click: () => makeScreenshot()
+    },
+    {
+      label: 'Capture Screen to Clipboard (Beta)',
+      accelerator: accelForTray(KEY_MAKE_SCREENSHOT_TO_CLIPBOARD),
+      click: () => makeScreenshot(null, 'clipboard')
+    },
+    {
+      label: 'Capture Region (Beta)',
+      accelerator: accelForTray(KEY_MAKE_REGION_SCREENSHOT),
+      click: requestRegionScreenshot
+    },
+    {
+      label: withAccelHint((recordingFile ? 'Stop Recording' : 'Start Recording'), key_toggle_recording),
+      accelerator: accelForTray(key_toggle_recording),
+      click: toggleRecording
     },
     { type: 'separator' },
     {
@@ -258,6 +401,13 @@ function updateContextMenu() {
   ]);
 
   tray.setContextMenu(contextMenu);
+
+  // NOTE: Tray shows the recording state too, the draw window can be hidden meanwhile
+  tray.setToolTip(recordingFile ? 'DrawPen (Recording)' : 'DrawPen')
+
+  if (isMac) {
+    tray.setTitle(recordingFile ? 'REC' : '')
+  }
 }
 
 function registerTrayActions() {
@@ -333,6 +483,23 @@ function createMainWindow() {
     }
   })
 
+  // NOTE: Reload drops the recorder, so the file is finished with what it has
+  mainWindow.webContents.on('did-start-loading', () => {
+    finishRecordingFile()
+  })
+
+  mainWindow.webContents.session.setDisplayMediaRequestHandler(async (_request, callback) => {
+    try {
+      const source = await getDisplaySource(getActiveDisplay(), { width: 1, height: 1 })
+
+      callback({ video: source })
+    } catch (error) {
+      rawLog('Display media request failed:', error.message)
+
+      callback({})
+    }
+  })
+
   mainWindow.webContents.setVisualZoomLevelLimits(1, 1);
   mainWindow.webContents.on('before-input-event', (event, input) => {
     if ((input.control || input.meta) && ['+', '=', '-', '0', 'numadd', 'numsub'].includes(input.key.toLowerCase())) {
@@ -481,6 +648,7 @@ app.whenReady().then(() => {
   preCheck()
 
   hideDock()
+  prepareDeskCheckpoint()
   createMainWindow()
 
   tray = new Tray(getTrayIconPath())
@@ -493,10 +661,19 @@ app.whenReady().then(() => {
   setApplicationName()
 })
 
-app.on('will-quit', () => {
+app.on('will-quit', (event) => {
   rawLog('Will quit app... (Unregister all shortcuts)')
 
   unRegisterGlobalShortcuts()
+
+  // NOTE: Unfinished stream leaves a truncated .webm, so quitting waits for it
+  if (recordingFile) {
+    event.preventDefault()
+
+    finishRecordingFile()
+      .catch(error => rawLog('Recording finish failed:', error))
+      .finally(() => app.quit())
+  }
 });
 
 app.on('window-all-closed', () => {
@@ -536,11 +713,20 @@ ipcMain.handle('get_settings', () => {
     show_tool_bar: store.get('show_tool_bar'),
     show_drawing_border: store.get('show_drawing_border'),
     show_cute_cursor: store.get('show_cute_cursor'),
+    show_grid: store.get('show_grid'),
+    grid_style: store.get('grid_style'),
+    grid_spacing: store.get('grid_spacing'),
+    snap_to_grid: store.get('snap_to_grid'),
     tool_bar_x: store.get('tool_bar_x'),
     tool_bar_y: store.get('tool_bar_y'),
     tool_bar_active_tool: store.get('tool_bar_active_tool'),
     tool_bar_active_color_index: store.get('tool_bar_active_color_index'),
     tool_bar_active_weight_index: store.get('tool_bar_active_weight_index'),
+    tool_bar_active_fill: store.get('tool_bar_active_fill'),
+    tool_bar_active_stroke_style: store.get('tool_bar_active_stroke_style'),
+    tool_bar_active_corner_radius: store.get('tool_bar_active_corner_radius'),
+    tool_bar_active_shadow: store.get('tool_bar_active_shadow'),
+    tool_bar_active_markers: store.get('tool_bar_active_markers'),
     tool_bar_default_brush: store.get('tool_bar_default_brush'),
     tool_bar_default_figure: store.get('tool_bar_default_figure'),
     swap_colors_indexes: store.get('swap_colors_indexes'),
@@ -553,6 +739,12 @@ ipcMain.handle('get_settings', () => {
     key_binding_clear_desk:           normalizeAcceleratorForUI(store.get('key_binding_clear_desk')),
     key_binding_open_settings:        normalizeAcceleratorForUI(KEY_SETTINGS),
     key_binding_make_screenshot:      normalizeAcceleratorForUI(KEY_MAKE_SCREENSHOT),
+    key_binding_make_region_screenshot: normalizeAcceleratorForUI(KEY_MAKE_REGION_SCREENSHOT),
+    key_binding_make_screenshot_to_clipboard: normalizeAcceleratorForUI(KEY_MAKE_SCREENSHOT_TO_CLIPBOARD),
+    key_binding_save_desk:            normalizeAcceleratorForUI(KEY_SAVE_DESK),
+    key_binding_open_desk:            normalizeAcceleratorForUI(KEY_OPEN_DESK),
+    key_binding_export_svg:           normalizeAcceleratorForUI(KEY_EXPORT_SVG),
+    key_binding_export_png:           normalizeAcceleratorForUI(KEY_EXPORT_PNG),
   };
 });
 
@@ -581,23 +773,108 @@ ipcMain.handle('open_settings', () => {
   return null
 });
 
-ipcMain.handle('make_screenshot', () => {
-  makeScreenshot()
+ipcMain.handle('make_screenshot', (_event, region, destination) => {
+  makeScreenshot(region, destination)
+
+  return null
+});
+
+ipcMain.handle('get_desk_checkpoint', async () => {
+  return await loadDeskCheckpoint()
+});
+
+ipcMain.handle('save_desk_checkpoint', (_event, content) => {
+  saveDeskCheckpoint(content)
+
+  return null
+});
+
+ipcMain.handle('save_desk', async (_event, content) => {
+  await saveDesk(content)
+
+  return null
+});
+
+ipcMain.handle('save_svg', async (_event, content) => {
+  await saveSvg(content)
+
+  return null
+});
+
+ipcMain.handle('save_png', async (_event, dataUrl) => {
+  await savePng(dataUrl)
+
+  return null
+});
+
+ipcMain.handle('read_clipboard_image', () => {
+  const image = clipboard.readImage()
+
+  if (image.isEmpty()) {
+    return null
+  }
+
+  return image.toDataURL()
+});
+
+ipcMain.handle('start_recording', async () => {
+  return await startRecordingFile()
+});
+
+ipcMain.handle('write_recording', async (_event, chunk) => {
+  await writeRecordingFile(chunk)
+
+  return null
+});
+
+ipcMain.handle('encoded_image', (_event, id, bytes, errorMessage) => {
+  const encoding = imageEncodings.get(id)
+
+  if (!encoding) return null
+
+  imageEncodings.delete(id)
+
+  if (errorMessage) {
+    encoding.reject(new Error(errorMessage))
+  } else {
+    encoding.resolve(Buffer.from(bytes))
+  }
+
+  return null
+});
+
+ipcMain.handle('stop_recording', async () => {
+  await finishRecordingFile()
+
+  return null
+});
+
+ipcMain.handle('open_desk', () => {
+  openDesk()
 
   return null
 });
 
 ipcMain.handle('open_notification', (_event, info) => {
   if (info.action === 'open_screenshot') {
-    const desktop = app.getPath('desktop')
-    const filePath = path.join(desktop, info.data)
+    const filePath = info.data
 
     hideDrawWindow()
 
     if (fs.existsSync(filePath)) {
       shell.showItemInFolder(filePath)
     } else {
-      shell.openPath(desktop)
+      shell.openPath(path.dirname(filePath))
+    }
+
+    return null
+  }
+
+  if (info.action === 'open_desk_file') {
+    hideDrawWindow()
+
+    if (fs.existsSync(info.data)) {
+      shell.showItemInFolder(info.data)
     }
 
     return null
@@ -628,6 +905,9 @@ ipcMain.handle('get_configuration', () => {
 
     show_drawing_border:                      store.get('show_drawing_border'),
     show_cute_cursor:                         store.get('show_cute_cursor'),
+    grid_style:                               store.get('grid_style'),
+    grid_spacing:                             store.get('grid_spacing'),
+    snap_to_grid:                             store.get('snap_to_grid'),
     swap_colors_indexes:                      store.get('swap_colors_indexes'),
     fade_disappear_after_ms:                  store.get('fade_disappear_after_ms'),
     fade_out_duration_time_ms:                store.get('fade_out_duration_time_ms'),
@@ -638,6 +918,13 @@ ipcMain.handle('get_configuration', () => {
     app_icon_color:                           store.get('app_icon_color'),
     launch_on_login:                          store.get('launch_on_login'),
     starts_hidden:                            store.get('starts_hidden'),
+    restore_desk_on_start:                    store.get('restore_desk_on_start'),
+    capture_destination:                      store.get('capture_destination'),
+    capture_directory:                        store.get('capture_directory'),
+    capture_directory_default:                app.getPath('desktop'),
+    capture_filename_template:                store.get('capture_filename_template'),
+    capture_format:                           store.get('capture_format'),
+    capture_quality:                          store.get('capture_quality'),
 
     key_binding_show_hide_app:                normalizeAcceleratorForUI(store.get('key_binding_show_hide_app')),
     key_binding_show_hide_app_default:        normalizeAcceleratorForUI(schema.key_binding_show_hide_app.default),
@@ -650,6 +937,9 @@ ipcMain.handle('get_configuration', () => {
 
     key_binding_clear_desk:                   normalizeAcceleratorForUI(store.get('key_binding_clear_desk')),
     key_binding_clear_desk_default:           normalizeAcceleratorForUI(schema.key_binding_clear_desk.default),
+
+    key_binding_toggle_recording:             normalizeAcceleratorForUI(store.get('key_binding_toggle_recording')),
+    key_binding_toggle_recording_default:     normalizeAcceleratorForUI(schema.key_binding_toggle_recording.default),
   };
 });
 
@@ -663,6 +953,7 @@ ipcMain.handle('can_register_shortcut', async (_event, value) => {
     store.get('key_binding_show_hide_toolbar'),
     store.get('key_binding_show_hide_whiteboard'),
     store.get('key_binding_clear_desk'),
+    store.get('key_binding_toggle_recording'),
   ].filter(s => s && s !== KEY_NULL)
 
   if (shortcutsInUse.includes(accelerator)) {
@@ -725,6 +1016,14 @@ ipcMain.handle('set_starts_hidden', (_event, value) => {
   return null;
 });
 
+ipcMain.handle('set_restore_desk_on_start', (_event, value) => {
+  rawLog('Setting restore desk on start:', value)
+
+  store.set('restore_desk_on_start', value)
+
+  return null;
+});
+
 ipcMain.handle('set_show_drawing_border', (_event, value) => {
   rawLog('Setting drawing border:', value)
 
@@ -745,6 +1044,36 @@ ipcMain.handle('set_show_cute_cursor', (_event, value) => {
   return null;
 });
 
+ipcMain.handle('set_grid_style', (_event, value) => {
+  rawLog('Setting grid style:', value)
+
+  store.set('grid_style', value)
+
+  refreshSettingsInRenderer();
+
+  return null;
+});
+
+ipcMain.handle('set_grid_spacing', (_event, value) => {
+  rawLog('Setting grid spacing:', value)
+
+  store.set('grid_spacing', value)
+
+  refreshSettingsInRenderer();
+
+  return null;
+});
+
+ipcMain.handle('set_snap_to_grid', (_event, value) => {
+  rawLog('Setting snap to grid:', value)
+
+  store.set('snap_to_grid', value)
+
+  refreshSettingsInRenderer();
+
+  return null;
+});
+
 ipcMain.handle('set_swap_colors', (_event, value) => {
   rawLog('Setting swap colors:', value)
 
@@ -791,6 +1120,62 @@ ipcMain.handle('set_laser_time', (_event, value) => {
   return null
 });
 
+ipcMain.handle('set_capture_destination', (_event, value) => {
+  rawLog('Setting capture destination:', value)
+
+  store.set('capture_destination', value)
+
+  return null;
+});
+
+ipcMain.handle('choose_capture_directory', async () => {
+  const { canceled, filePaths } = await dialog.showOpenDialog(settingsWindow, {
+    title: 'Choose Capture Folder',
+    defaultPath: getCaptureDirectory(),
+    properties: ['openDirectory', 'createDirectory'],
+  });
+
+  if (canceled || filePaths.length === 0) return null
+
+  rawLog('Setting capture directory:', filePaths[0])
+
+  store.set('capture_directory', filePaths[0])
+
+  return filePaths[0]
+});
+
+ipcMain.handle('set_capture_directory', (_event, value) => {
+  rawLog('Setting capture directory:', value)
+
+  store.set('capture_directory', value)
+
+  return null;
+});
+
+ipcMain.handle('set_capture_filename_template', (_event, value) => {
+  rawLog('Setting capture filename template:', value)
+
+  store.set('capture_filename_template', value)
+
+  return null;
+});
+
+ipcMain.handle('set_capture_format', (_event, value) => {
+  rawLog('Setting capture format:', value)
+
+  store.set('capture_format', value)
+
+  return null;
+});
+
+ipcMain.handle('set_capture_quality', (_event, value) => {
+  rawLog('Setting capture quality:', value)
+
+  store.set('capture_quality', value)
+
+  return null;
+});
+
 ipcMain.handle('set_app_icon_color', (_event, value) => {
   rawLog('Setting app icon color:', value)
 
@@ -814,6 +1199,9 @@ function refreshSettingsInRenderer() {
       show_drawing_border: store.get('show_drawing_border'),
       show_cute_cursor:    store.get('show_cute_cursor'),
       swap_colors_indexes: store.get('swap_colors_indexes'),
+      grid_style:          store.get('grid_style'),
+      grid_spacing:        store.get('grid_spacing'),
+      snap_to_grid:        store.get('snap_to_grid'),
     })
   }
 }
@@ -823,6 +1211,9 @@ function registerGlobalShortcuts() {
 
   const keyApp = store.get('key_binding_show_hide_app')
   safeRegisterGlobalShortcut(keyApp, toggleDrawWindow)
+
+  const keyRecording = store.get('key_binding_toggle_recording')
+  safeRegisterGlobalShortcut(keyRecording, toggleRecording)
 }
 
 function unRegisterGlobalShortcuts() {
@@ -967,7 +1358,7 @@ function screenshotTimecode4(date) {
   return code;
 }
 
-function screenshotFilename(withUniqSuffix = false) {
+function exportFilename(extension) {
   const date = new Date()
 
   const yyyy = date.getFullYear();
@@ -975,12 +1366,121 @@ function screenshotFilename(withUniqSuffix = false) {
   const dd = (date.getDate()).toString().padStart(2, '0');
 
   const code = screenshotTimecode4(date);
-  const suffix = withUniqSuffix ? `-${Date.now()}` : '';
 
-  return `DRWPN-${yyyy}${mm}${dd}-${code}${suffix}.png`;
+  return `DRWPN-${yyyy}${mm}${dd}-${code}.${extension}`;
 }
 
-async function makeScreenshot() {
+// Supported tokens: {date}, {time}, {display}, {counter}
+function captureFilename(display, extension = CAPTURE_FORMATS[store.get('capture_format')].extension) {
+  const date = new Date()
+
+  const yyyy = date.getFullYear();
+  const mm = (date.getMonth() + 1).toString().padStart(2, '0');
+  const dd = (date.getDate()).toString().padStart(2, '0');
+  const hh = date.getHours().toString().padStart(2, '0');
+  const mi = date.getMinutes().toString().padStart(2, '0');
+  const ss = date.getSeconds().toString().padStart(2, '0');
+
+  const template = store.get('capture_filename_template').trim() || CAPTURE_FILENAME_TEMPLATE
+  const counter = String(store.get('capture_counter')).padStart(3, '0')
+
+  const name = template
+    .replaceAll('{date}', `${yyyy}${mm}${dd}`)
+    .replaceAll('{time}', `${hh}${mi}${ss}`)
+    .replaceAll('{display}', display.label || `Display ${display.id}`)
+    .replaceAll('{counter}', counter)
+    .replace(/[\\/:*?"<>|]/g, '-')
+
+  return `${name}.${extension}`;
+}
+
+function getCaptureDirectory() {
+  const captureDirectory = store.get('capture_directory')
+
+  if (captureDirectory && fs.existsSync(captureDirectory)) {
+    return captureDirectory
+  }
+
+  return app.getPath('desktop')
+}
+
+const IMAGE_ENCODING_TIMEOUT_MS = 15000
+
+// NOTE: Image goes to the draw window as PNG bytes, it answers with "encoded_image"
+function encodeImageInDrawWindow(image, mimeType, quality) {
+  const id = ++lastImageEncodingId
+
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      imageEncodings.delete(id)
+      reject(new Error('Image encoding timed out.'))
+    }, IMAGE_ENCODING_TIMEOUT_MS)
+
+    imageEncodings.set(id, {
+      resolve: (bytes) => { clearTimeout(timeout); resolve(bytes) },
+      reject: (error) => { clearTimeout(timeout); reject(error) },
+    })
+
+    mainWindow.webContents.send('encode_image', { id, png: image.toPNG(), mimeType, quality })
+  })
+}
+
+// NOTE: NativeImage can't encode WebP, so the draw window canvas does it
+async function encodeCaptureImage(image) {
+  const format = store.get('capture_format')
+  const quality = store.get('capture_quality')
+
+  if (format === 'jpeg') {
+    return image.toJPEG(quality)
+  }
+
+  if (format === 'webp') {
+    return encodeImageInDrawWindow(image, CAPTURE_FORMATS.webp.mimeType, quality / 100)
+  }
+
+  return image.toPNG()
+}
+
+async function ensureScreenCaptureAccess() {
+  if (!isMac) return
+
+  const status = systemPreferences.getMediaAccessStatus('screen');
+  if (status !== 'granted') {
+    // NOTE: Adds an app to Screen & System Audio Recording list
+    try {
+      await desktopCapturer.getSources({
+        types: ['screen'],
+        thumbnailSize: { width: 1, height: 1 },
+      });
+    } catch (_) {}
+
+    throw new Error('Screen Recording permission is not granted.');
+  }
+}
+
+async function getDisplaySource(display, thumbnailSize) {
+  const sources = await desktopCapturer.getSources({
+    types: ['screen'],
+    thumbnailSize,
+  });
+
+  if (sources.length === 0) {
+    throw new Error('No screen sources available for capture.')
+  }
+
+  return (
+    sources.find(s => String(s.display_id ?? s.displayId ?? '') === String(display.id)) ||
+    sources.find(source => {
+      const { width, height } = source.thumbnail.getSize()
+      return width === thumbnailSize.width && height === thumbnailSize.height
+    }) ||
+    sources[0]
+  );
+}
+
+// NOTE: "region" is a rectangle in the draw window coordinates (CSS pixels)
+// NOTE: "destination" is one of "file", "clipboard" or "both"
+async function makeScreenshot(region = null, destination = store.get('capture_destination')) {
   if (!mainWindow) return
 
   if (!foregroundMode) {
@@ -990,20 +1490,7 @@ async function makeScreenshot() {
   try {
     rawLog('Exporting as PNG...')
 
-    if (isMac) {
-      const status = systemPreferences.getMediaAccessStatus('screen');
-      if (status !== 'granted') {
-        // NOTE: Adds an app to Screen & System Audio Recording list
-        try {
-          await desktopCapturer.getSources({
-            types: ['screen'],
-            thumbnailSize: { width: 1, height: 1 },
-          });
-        } catch (_) {}
-
-        throw new Error('Screen Recording permission is not granted.');
-      }
-    }
+    await ensureScreenCaptureAccess()
 
     const activeMonitor = getActiveDisplay()
 
@@ -1012,51 +1499,392 @@ async function makeScreenshot() {
       height: Math.round(activeMonitor.size.height * (activeMonitor.scaleFactor || 1)),
     };
 
-    const sources = await desktopCapturer.getSources({
-      types: ['screen'],
-      thumbnailSize,
-    });
+    const source = await getDisplaySource(activeMonitor, thumbnailSize)
 
-    if (sources.length === 0) {
-      throw new Error('No screen sources available for capture.')
+    let image = source.thumbnail;
+
+    if (!image || image.isEmpty()) {
+      throw new Error('Could not capture the screen.')
     }
 
-    const source =
-      sources.find(s => String(s.display_id ?? s.displayId ?? '') === String(activeMonitor.id)) ||
-      sources.find(source => {
-        const { width, height } = source.thumbnail.getSize()
-        return width === thumbnailSize.width && height === thumbnailSize.height
-      }) ||
-      sources[0];
+    if (region) {
+      image = image.crop(regionToImageRect(region, activeMonitor, image.getSize()))
+    }
 
-    const image = source.thumbnail;
+    const toClipboard = ['clipboard', 'both'].includes(destination)
+    const toFile = destination !== 'clipboard'
 
-    if (!image || image.isEmpty()) {
-      throw new Error('Could not capture the screen.')
+    if (toClipboard) {
+      clipboard.writeImage(image)
     }
 
-    let savePath = path.join(app.getPath('desktop'), screenshotFilename());
-    if (fs.existsSync(savePath)) {
-      savePath = path.join(app.getPath('desktop'), screenshotFilename(true));
+    if (!toFile) {
+      sendNotification({
+        title: 'Copied to clipboard',
+        body: 'The screenshot is ready to be pasted',
+        button_label: null,
+        button_action: null,
+        button_data: null,
+      });
+      return
     }
 
-    await fs.promises.writeFile(savePath, image.toPNG());
+    const imageData = await encodeCaptureImage(image)
+
+    await writeExportFile(getCaptureDirectory(), captureFilename(activeMonitor), imageData, toClipboard ? 'Copied to clipboard and saved' : null)
 
+    store.set('capture_counter', store.get('capture_counter') + 1)
+  } catch (error) {
     sendNotification({
-      title: `Click to open ${isMac ? 'in Finder' : 'folder'}`,
-      body: savePath,
-      button_label: 'Open',
-      button_action: 'open_screenshot',
-      button_data: path.basename(savePath),
+      title: 'Image export failed',
+      body: error.message,
+      button_label: isMac ? 'Settings' : null,
+      button_action: isMac ? 'open_security_preferences' : null,
+      button_data: null,
     });
+  }
+}
+
+function toggleRecording() {
+  withThrottle(() => {
+    rawLog('Toggling recording...')
+
+    if (!recordingFile && !foregroundMode) {
+      showDrawWindow()
+    }
+
+    if (mainWindow) {
+      mainWindow.webContents.send('toggle_recording');
+      // Roundtrip request starts or stops the recorder
+    }
+  });
+}
+
+async function startRecordingFile() {
+  if (recordingFile) return false
+
+  try {
+    await ensureScreenCaptureAccess()
+
+    const directory = getCaptureDirectory()
+
+    let savePath = path.join(directory, captureFilename(getActiveDisplay(), 'webm'));
+    if (fs.existsSync(savePath)) {
+      const { name, ext } = path.parse(savePath);
+      savePath = path.join(directory, `${name}-${Date.now()}${ext}`);
+    }
+
+    rawLog('Recording to:', savePath)
+
+    recordingFile = {
+      path: savePath,
+      stream: fs.createWriteStream(savePath),
+    }
+
+    store.set('capture_counter', store.get('capture_counter') + 1)
+    updateContextMenu()
+
+    return true
   } catch (error) {
     sendNotification({
-      title: 'Image export failed',
+      title: 'Recording failed',
       body: error.message,
       button_label: isMac ? 'Settings' : null,
       button_action: isMac ? 'open_security_preferences' : null,
       button_data: null,
     });
+
+    return false
+  }
+}
+
+async function writeRecordingFile(chunk) {
+  if (!recordingFile) return
+
+  const { stream } = recordingFile
+
+  if (!stream.write(Buffer.from(chunk))) {
+    await new Promise(resolve => stream.once('drain', resolve))
+  }
+}
+
+async function finishRecordingFile() {
+  if (!recordingFile) return
+
+  const { path: savePath, stream } = recordingFile
+  recordingFile = null
+
+  updateContextMenu()
+
+  await new Promise(resolve => stream.end(resolve))
+
+  const { size } = await fs.promises.stat(savePath)
+  if (size === 0) {
+    await fs.promises.unlink(savePath)
+    return
+  }
+
+  rawLog('Recording saved:', savePath)
+
+  sendNotification({
+    title: 'Recording saved',
+    body: savePath,
+    button_label: 'Open',
+    button_action: 'open_screenshot',
+    button_data: savePath,
+  });
+}
+
+function requestRegionScreenshot() {
+  withThrottle(() => {
+    rawLog('Requesting region selection...')
+
+    if (!mainWindow) return
+
+    if (!foregroundMode) {
+      showDrawWindow()
+    }
+
+    mainWindow.webContents.send('start_region_capture');
+    // Roundtrip request returns selected region
+  });
+}
+
+// Maps window coordinates to the pixels of the display thumbnail
+function regionToImageRect(region, display, imageSize) {
+  const contentBounds = mainWindow.getContentBounds()
+
+  const scaleX = imageSize.width / display.bounds.width
+  const scaleY = imageSize.height / display.bounds.height
+
+  const startX = Math.max(0, Math.round((contentBounds.x - display.bounds.x + region.x) * scaleX))
+  const startY = Math.max(0, Math.round((contentBounds.y - display.bounds.y + region.y) * scaleY))
+  const endX = Math.min(imageSize.width, Math.round((contentBounds.x - display.bounds.x + region.x + region.width) * scaleX))
+  const endY = Math.min(imageSize.height, Math.round((contentBounds.y - display.bounds.y + region.y + region.height) * scaleY))
+
+  if (endX <= startX || endY <= startY) {
+    throw new Error('The selected region is outside of the screen.')
+  }
+
+  return {
+    x: startX,
+    y: startY,
+    width: endX - startX,
+    height: endY - startY,
+  }
+}
+
+function requestExportSvg() {
+  withThrottle(() => {
+    rawLog('Requesting SVG export...')
+
+    if (mainWindow) {
+      mainWindow.webContents.send('export_svg');
+      // Roundtrip request returns SVG content
+    }
+  });
+}
+
+async function saveSvg(content) {
+  try {
+    rawLog('Exporting as SVG...')
+
+    await writeExportFile(app.getPath('desktop'), exportFilename('svg'), content)
+  } catch (error) {
+    sendNotification({
+      title: 'SVG export failed',
+      body: error.message,
+      button_label: null,
+      button_action: null,
+      button_data: null,
+    });
+  }
+}
+
+function requestExportPng() {
+  withThrottle(() => {
+    rawLog('Requesting PNG export...')
+
+    if (mainWindow) {
+      mainWindow.webContents.send('export_png');
+      // Roundtrip request returns PNG content
+    }
+  });
+}
+
+async function savePng(dataUrl) {
+  try {
+    rawLog('Exporting annotations as PNG...')
+
+    const [_header, base64] = dataUrl.split(',')
+
+    await writeExportFile(app.getPath('desktop'), exportFilename('png'), Buffer.from(base64, 'base64'))
+  } catch (error) {
+    sendNotification({
+      title: 'PNG export failed',
+      body: error.message,
+      button_label: null,
+      button_action: null,
+      button_data: null,
+    });
+  }
+}
+
+// Saves an exported file and notifies where it is
+async function writeExportFile(directory, filename, data, title = null) {
+  let savePath = path.join(directory, filename);
+  if (fs.existsSync(savePath)) {
+    const { name, ext } = path.parse(filename);
+    savePath = path.join(directory, `${name}-${Date.now()}${ext}`);
+  }
+
+  await fs.promises.writeFile(savePath, data);
+
+  sendNotification({
+    title: title || `Click to open ${isMac ? 'in Finder' : 'folder'}`,
+    body: savePath,
+    button_label: 'Open',
+    button_action: 'open_screenshot',
+    button_data: savePath,
+  });
+}
+
+function getDeskDirectory() {
+  const lastDeskDirectory = store.get('last_desk_directory')
+
+  if (lastDeskDirectory && fs.existsSync(lastDeskDirectory)) {
+    return lastDeskDirectory
+  }
+
+  return app.getPath('documents')
+}
+
+function requestSaveDesk() {
+  withThrottle(() => {
+    rawLog('Requesting desk save...')
+
+    if (mainWindow) {
+      mainWindow.webContents.send('save_desk');
+      // Roundtrip request returns desk content
+    }
+  });
+}
+
+async function saveDesk(content) {
+  if (!mainWindow) return
+
+  if (!foregroundMode) {
+    showDrawWindow()
+  }
+
+  try {
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Save Desk',
+      defaultPath: path.join(getDeskDirectory(), exportFilename(DESK_FILE_EXTENSION)),
+      filters: [{ name: 'DrawPen Desk', extensions: [DESK_FILE_EXTENSION] }],
+    });
+
+    if (canceled || !filePath) return
+
+    rawLog('Saving desk:', filePath)
+
+    await fs.promises.writeFile(filePath, content, 'utf8');
+
+    store.set('last_desk_directory', path.dirname(filePath))
+
+    sendNotification({
+      title: 'Desk saved',
+      body: filePath,
+      button_label: 'Open',
+      button_action: 'open_desk_file',
+      button_data: filePath,
+    });
+  } catch (error) {
+    sendNotification({
+      title: 'Desk save failed',
+      body: error.message,
+      button_label: null,
+      button_action: null,
+      button_data: null,
+    });
+  }
+}
+
+async function openDesk() {
+  if (!mainWindow) return
+
+  if (!foregroundMode) {
+    showDrawWindow()
+  }
+
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Open Desk',
+      defaultPath: getDeskDirectory(),
+      properties: ['openFile'],
+      filters: [{ name: 'DrawPen Desk', extensions: [DESK_FILE_EXTENSION] }],
+    });
+
+    if (canceled || filePaths.length === 0) return
+
+    const filePath = filePaths[0]
+
+    rawLog('Opening desk:', filePath)
+
+    const content = await fs.promises.readFile(filePath, 'utf8');
+
+    store.set('last_desk_directory', path.dirname(filePath))
+
+    mainWindow.webContents.send('load_desk', content);
+  } catch (error) {
+    sendNotification({
+      title: 'Desk open failed',
+      body: error.message,
+      button_label: null,
+      button_action: null,
+      button_data: null,
+    });
+  }
+}
+
+function getDeskCheckpointPath() {
+  return path.join(app.getPath('userData'), DESK_CHECKPOINT_FILENAME)
+}
+
+function prepareDeskCheckpoint() {
+  if (store.get('restore_desk_on_start')) return
+
+  rawLog('Clearing desk checkpoint...')
+
+  try {
+    fs.rmSync(getDeskCheckpointPath(), { force: true })
+  } catch (error) {
+    rawLog('Desk checkpoint clear failed:', error)
+  }
+}
+
+function saveDeskCheckpoint(content) {
+  // NOTE: Writes are chained, so a reload never reads a half-written checkpoint
+  deskCheckpointWrite = deskCheckpointWrite
+    .then(async () => {
+      const checkpointPath = getDeskCheckpointPath()
+      const tmpPath = `${checkpointPath}.tmp`
+
+      await fs.promises.writeFile(tmpPath, content, 'utf8')
+      await fs.promises.rename(tmpPath, checkpointPath)
+    })
+    .catch((error) => {
+      rawLog('Desk checkpoint save failed:', error)
+    })
+}
+
+async function loadDeskCheckpoint() {
+  await deskCheckpointWrite
+
+  try {
+    return await fs.promises.readFile(getDeskCheckpointPath(), 'utf8')
+  } catch (_) {
+    return null
   }
 }
 
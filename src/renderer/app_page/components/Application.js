@@ -8,6 +8,8 @@ import CuteCursor from './components/CuteCursor.js';
 import RippleEffect from './components/RippleEffect.js';
 import Toast from './components/Toast.js';
 import TextEditor from './components/TextEditor.js';
+import RegionSelector from './components/RegionSelector.js';
+import UserGuides from './components/UserGuides.js';
 import {
   filterClosePoints,
   getMouseCoordinates,
@@ -15,6 +17,12 @@ import {
   calculateCanvasTextWidth,
   applySoftSnap,
   applyAspectRatioLock,
+  applyGridSnap,
+  readFileAsDataUrl,
+  encodeImage,
+  cloneFigure,
+  areFiguresEqual,
+  getFigureMarkers,
 } from './utils/general.js';
 import {
   isOnFigure,
@@ -25,24 +33,49 @@ import {
   resizeFigure,
   moveToCoordinates,
   calculateAspectRatio,
+  getFiguresBounds,
+  getCommonGroupId,
+  getDotNameOnBounds,
+  resizeFigures,
+  resizeStroke,
+  flipFigures,
+  isOverBounds,
+  isFigureInRectangle,
+  isFigureInPolygon,
 } from './utils/figureDetection.js';
-import { FaPaintBrush, FaHighlighter, FaRegSquare, FaRegCircle, FaArrowRight, FaEraser } from "react-icons/fa";
+import { serializeDesk, deserializeDesk, createEmptyPage } from './utils/deskFile.js';
+import { reorderFigures, sortFiguresByIds } from './utils/figureOrder.js';
+import { getSnapTargets, snapBounds, snapResizePoint, getResizeEdgeOffset } from './utils/figureSnapping.js';
+import { startScreenRecording } from './utils/screenRecorder.js';
+import { writeFiguresToClipboard, readFiguresFromClipboard } from './utils/figureClipboard.js';
+import { buildDeskSvg, loadFontData } from './components/drawer/svgExport.js';
+import { buildDeskPng } from './components/drawer/pngExport.js';
+import { loadImage } from './components/drawer/figures.js';
+import { FaPaintBrush, FaHighlighter, FaRegSquare, FaRegCircle, FaArrowRight, FaEraser, FaChevronLeft, FaChevronRight, FaPlus, FaRegClone, FaRegTrashAlt, FaDrawPolygon } from "react-icons/fa";
 import { AiOutlineLine } from "react-icons/ai";
 import { GiLaserburn } from "react-icons/gi";
 import { MdOutlineCancel } from "react-icons/md";
 import { FaFont } from "react-icons/fa6";
 import FaMagicPaintBrush from "./components/icons/FaMagicPaintBrush.js";
+import LineMarkerIcon from "./components/icons/LineMarkerIcon.js";
 
 import {
   fadeOutDestroyAfterMs,
   eraserTime,
   brushList,
   shapeList,
+  fillableList,
+  strokeStylableList,
+  markableList,
   colorList,
   widthList,
   minObjectDistance,
+  polylineCloseDistance,
   pastCooldownMs,
+  duplicateOffset,
   escDoubleTapMs,
+  imageMaxViewportRatio,
+  imageDropOffset,
 } from './constants.js'
 
 const Icons = {
@@ -52,13 +85,106 @@ const Icons = {
   FaRegCircle,
   FaArrowRight,
   AiOutlineLine,
+  FaDrawPolygon,
   GiLaserburn,
   MdOutlineCancel,
   FaEraser,
   FaHighlighter,
   FaFont,
+  FaChevronLeft,
+  FaChevronRight,
+  FaPlus,
+  FaRegClone,
+  FaRegTrashAlt,
+  LineMarkerIcon,
 };
 
+const getInitialDesk = (deskCheckpoint) => {
+  if (deskCheckpoint) {
+    try {
+      return deserializeDesk(deskCheckpoint);
+    } catch (error) {
+      console.log('[DRAWPEN]: Desk checkpoint skipped: ', error.message);
+    }
+  }
+
+  let figures = []
+
+  if (process.env.NODE_ENV === 'development') {
+    figures = [
+      { id: Date.now() + 0, type: 'arrow',     colorIndex: 0, widthIndex: 2, points: [[100, 100], [400, 100]], rainbowColorDeg: (Math.random() * 360) },
+      { id: Date.now() + 1, type: 'line',      colorIndex: 0, widthIndex: 2, points: [[100, 200], [400, 200]], rainbowColorDeg: 250 },
+      { id: Date.now() + 2, type: 'rectangle', colorIndex: 0, widthIndex: 2, points: [[70, 150], [450, 250]],  rainbowColorDeg: (Math.random() * 360), ratio: 1 },
+      { id: Date.now() + 3, type: 'oval',      colorIndex: 0, widthIndex: 2, points: [[100, 300], [400, 450]], rainbowColorDeg: (Math.random() * 360), ratio: 1 },
+      { id: Date.now() + 4, type: 'text',      colorIndex: 2, widthIndex: 2, points: [[152, 118]],             rainbowColorDeg: (Math.random() * 360), text: 'Hello World', width: 400, height: 150, scale: 1 },
+    ]
+  }
+
+  return { pages: [{ ...createEmptyPage(), figures }], activePageIndex: 0 }
+}
+
+// NOTE: Copies get new ids, copied groups become new groups
+const duplicateFigures = (figures, pointsList) => {
+  const groupIds = new Map();
+  const nextId = Date.now();
+
+  return figures.map((figure, index) => {
+    const newFigure = {
+      ...figure,
+      id: nextId + index,
+      points: pointsList[index],
+    };
+
+    if (figure.groupId) {
+      if (!groupIds.has(figure.groupId)) {
+        groupIds.set(figure.groupId, nextId + figures.length + groupIds.size);
+      }
+
+      newFigure.groupId = groupIds.get(figure.groupId);
+    }
+
+    return newFigure
+  });
+}
+
+// NOTE: Font is embedded only when there is some text
+const loadSvgFontData = async (figures) => {
+  if (!figures.some(figure => figure.type === 'text')) return null
+
+  try {
+    return await loadFontData('../assets/Excalifont-Regular.woff2')
+  } catch (error) {
+    console.error('Failed to embed the font:', error);
+    return null
+  }
+}
+
+// NOTE: Image is centered at the given point and fits into the screen
+const createImageFigure = (src, image, [centerX, centerY], props) => {
+  const dpr = window.devicePixelRatio || 1;
+  const { naturalWidth, naturalHeight } = image;
+
+  const scale = Math.min(
+    1 / dpr,
+    (window.innerWidth * imageMaxViewportRatio) / naturalWidth,
+    (window.innerHeight * imageMaxViewportRatio) / naturalHeight,
+  );
+
+  const width = naturalWidth * scale;
+  const height = naturalHeight * scale;
+
+  return {
+    ...props,
+    type: 'image',
+    src,
+    points: [
+      [centerX - width / 2, centerY - height / 2],
+      [centerX + width / 2, centerY + height / 2],
+    ],
+    ratio: naturalWidth / naturalHeight,
+  }
+}
+
 const Application = (settings) => {
   // console.log('App render');
 
@@ -66,10 +192,19 @@ const Application = (settings) => {
   const initialActiveTool = settings.tool_bar_active_tool
   const initialActiveColor = settings.tool_bar_active_color_index
   const initialActiveWidth = settings.tool_bar_active_weight_index
+  const initialActiveFill = settings.tool_bar_active_fill
+  const initialActiveStrokeStyle = settings.tool_bar_active_stroke_style
+  const initialActiveCornerRadius = settings.tool_bar_active_corner_radius
+  const initialActiveShadow = settings.tool_bar_active_shadow
+  const initialActiveMarkers = settings.tool_bar_active_markers
   const initialShowToolbar = settings.show_tool_bar
   const initialShowWhiteboard = settings.show_whiteboard
   const initialShowDrawingBorder = settings.show_drawing_border
   const initialShowCuteCursor = settings.show_cute_cursor
+  const initialShowGrid = settings.show_grid
+  const initialGridStyle = settings.grid_style
+  const initialGridSpacing = settings.grid_spacing
+  const initialSnapToGrid = settings.snap_to_grid
   const initialToolbarDefaultBrush = settings.tool_bar_default_brush
   const initialToolbarDefaultFigure = settings.tool_bar_default_figure
   const initialToolbarPosition = { x: settings.tool_bar_x, y: settings.tool_bar_y }
@@ -83,29 +218,32 @@ const Application = (settings) => {
   const key_clear_desk              = settings.key_binding_clear_desk
   const key_binding_open_settings   = settings.key_binding_open_settings
   const key_binding_make_screenshot = settings.key_binding_make_screenshot
+  const key_binding_make_region_screenshot = settings.key_binding_make_region_screenshot
+  const key_binding_make_screenshot_to_clipboard = settings.key_binding_make_screenshot_to_clipboard
+  const key_binding_save_desk       = settings.key_binding_save_desk
+  const key_binding_open_desk       = settings.key_binding_open_desk
+  const key_binding_export_svg      = settings.key_binding_export_svg
+  const key_binding_export_png      = settings.key_binding_export_png
 
-  let initialFigures = []
-
-  if (process.env.NODE_ENV === 'development') {
-    initialFigures = [
-      { id: Date.now() + 0, type: 'arrow',     colorIndex: 0, widthIndex: 2, points: [[100, 100], [400, 100]], rainbowColorDeg: (Math.random() * 360) },
-      { id: Date.now() + 1, type: 'line',      colorIndex: 0, widthIndex: 2, points: [[100, 200], [400, 200]], rainbowColorDeg: 250 },
-      { id: Date.now() + 2, type: 'rectangle', colorIndex: 0, widthIndex: 2, points: [[70, 150], [450, 250]],  rainbowColorDeg: (Math.random() * 360), ratio: 1 },
-      { id: Date.now() + 3, type: 'oval',      colorIndex: 0, widthIndex: 2, points: [[100, 300], [400, 450]], rainbowColorDeg: (Math.random() * 360), ratio: 1 },
-      { id: Date.now() + 4, type: 'text',      colorIndex: 2, widthIndex: 2, points: [[152, 118]],             rainbowColorDeg: (Math.random() * 360), text: 'Hello World', width: 400, height: 150, scale: 1 },
-    ]
-  }
+  const [initialDesk] = useState(() => getInitialDesk(settings.desk_checkpoint));
 
   const [rainbowColorDeg, updateRainbowColorDeg] = useState(initialColorDeg);
   const [mouseCoordinates, setMouseCoordinates] = useState({ x: 0, y: 0 });
-  const [allFigures, setAllFigures] = useState(initialFigures);
+  const [allFigures, setAllFigures] = useState(initialDesk.pages[initialDesk.activePageIndex].figures);
   const [allLaserFigures, setLaserFigure] = useState([]);
   const [allEraserFigures, setEraserFigure] = useState([]);
   const [allFadeFigures, setFadeFigures] = useState([]);
   const [activeTool, setActiveTool] = useState(initialActiveTool);
-  const [activeFigureInfo, setActiveFigureInfo] = useState(null);
+  const [activeFigureInfo, setActiveFigureInfo] = useState(null); // { ids, dragging, resizing, ... }
+  const [selectionArea, setSelectionArea] = useState(null); // { type: 'marquee' | 'lasso', points, baseIds }
+  const [snapGuides, setSnapGuides] = useState([]);
   const [activeColorIndex, setActiveColorIndex] = useState(initialActiveColor);
   const [activeWidthIndex, setActiveWidthIndex] = useState(initialActiveWidth);
+  const [activeFill, setActiveFill] = useState(initialActiveFill);
+  const [activeStrokeStyle, setActiveStrokeStyle] = useState(initialActiveStrokeStyle);
+  const [activeCornerRadius, setActiveCornerRadius] = useState(initialActiveCornerRadius);
+  const [activeShadow, setActiveShadow] = useState(initialActiveShadow);
+  const [activeMarkers, setActiveMarkers] = useState(initialActiveMarkers); // { arrow: { start, end }, line: { start, end } }
   const [isDrawing, setIsDrawing] = useState(false);
   const [textEditorContainer, setTextEditorContainer] = useState(null);
   const [cursorType, setCursorType] = useState('crosshair');
@@ -115,17 +253,27 @@ const Application = (settings) => {
   const [toolbarLastActiveFigure, setToolbarLastActiveFigure] = useState(initialToolbarDefaultFigure);
   const [toolbarPosition, setToolbarPosition] = useState(initialToolbarPosition);
   const [rippleEffects, setRippleEffects] = useState([]);
-  const [undoStackFigures, setUndoStackFigures] = useState([]);
-  const [redoStackFigures, setRedoStackFigures] = useState([]);
-  const [clipboardFigure, setClipboardFigure] = useState(null);
+  const [undoStackFigures, setUndoStackFigures] = useState(initialDesk.pages[initialDesk.activePageIndex].undo);
+  const [redoStackFigures, setRedoStackFigures] = useState(initialDesk.pages[initialDesk.activePageIndex].redo);
+  // NOTE: Active page lives in "allFigures" and undo/redo stacks, its entry here is outdated
+  const [pages, setPages] = useState(initialDesk.pages);
+  const [activePageIndex, setActivePageIndex] = useState(initialDesk.activePageIndex);
   const [isShiftPressed, setIsShiftPressed] = useState(false);
   const [isSpacePressed, setIsSpacePressed] = useState(false);
   const [isFadeDrawing, setIsFadeDrawing] = useState(false);
+  const [isPolylineDrawing, setIsPolylineDrawing] = useState(false);
   const [showDrawingBorder, setShowDrawingBorder] = useState(initialShowDrawingBorder);
+  const [showGrid, setShowGrid] = useState(initialShowGrid);
+  const [gridStyle, setGridStyle] = useState(initialGridStyle);
+  const [gridSpacing, setGridSpacing] = useState(initialGridSpacing);
+  const [snapToGrid, setSnapToGrid] = useState(initialSnapToGrid);
+  const [userGuides, setUserGuides] = useState([]);
   const [showCuteCursor, setShowCuteCursor] = useState(initialShowCuteCursor);
   const [mainColorIndex, setMainColorIndex] = useState(initialMainColorIndex);
   const [secondaryColorIndex, setSecondaryColorIndex] = useState(initialSecondaryColorIndex);
   const [toastInfo, setToastInfo] = useState(null);
+  const [isRegionCapture, setIsRegionCapture] = useState(false);
+  const [isRecording, setIsRecording] = useState(false);
   const [fadeOpacity, setFadeOpacity] = useState(1.0);
 
   useEffect(() => {
@@ -134,9 +282,18 @@ const Application = (settings) => {
     window.electronAPI.onToggleWhiteboard(handleToggleWhiteboard);
     window.electronAPI.onRefreshSettings(handleRefreshSettings);
     window.electronAPI.onShowNotification(handleShowNotification);
+    window.electronAPI.onSaveDesk(handleSaveDesk);
+    window.electronAPI.onLoadDesk(handleLoadDesk);
+    window.electronAPI.onExportSvg(handleExportSvg);
+    window.electronAPI.onExportPng(handleExportPng);
+    window.electronAPI.onStartRegionCapture(handleStartRegionCapture);
+    window.electronAPI.onToggleRecording(handleToggleRecording);
+    window.electronAPI.onEncodeImage(handleEncodeImage);
   }, []);
 
   const lastPasteAtRef = useRef(0);
+  const figuresBeforeModifyRef = useRef(null);
+  const snapTargetsRef = useRef(null);
   const lastEscapeAtRef = useRef(0);
 
   const handleKeyDown = useCallback((event) => {
@@ -148,7 +305,7 @@ const Application = (settings) => {
 
     const direction = shiftKey ? -1 : 1;
 
-    if (textEditorContainer) {
+    if (textEditorContainer || isRegionCapture) {
       return
     }
 
@@ -160,7 +317,13 @@ const Application = (settings) => {
       setIsSpacePressed(true);
     }
 
-    if (isDrawing || isActiveFigureMoving()) {
+    if (isPolylineDrawing && ['enter', 'escape'].includes(eventKey)) {
+      event.preventDefault();
+      finishPolyline();
+      return
+    }
+
+    if (isDrawing || isActiveFigureMoving() || selectionArea) {
       return
     }
 
@@ -190,30 +353,58 @@ const Application = (settings) => {
       invokeMakeScreenshot();
       return
     }
+    if (eventMatches(event, key_binding_make_screenshot_to_clipboard)) {
+      event.preventDefault();
+      invokeMakeScreenshot(null, 'clipboard');
+      return
+    }
+    if (eventMatches(event, key_binding_make_region_screenshot)) {
+      event.preventDefault();
+      setIsRegionCapture(true);
+      return
+    }
+    if (eventMatches(event, key_binding_save_desk)) {
+      event.preventDefault();
+      invokeSaveDesk(collectPages(), activePageIndex);
+      return
+    }
+    if (eventMatches(event, key_binding_open_desk)) {
+      event.preventDefault();
+      invokeOpenDesk();
+      return
+    }
+    if (eventMatches(event, key_binding_export_svg)) {
+      event.preventDefault();
+      invokeSaveSvg(allFigures);
+      return
+    }
+    if (eventMatches(event, key_binding_export_png)) {
+      event.preventDefault();
+      invokeSavePng(allFigures, showWhiteboard);
+      return
+    }
 
     // Static keyboard shortcuts
     switch (eventKey) {
       case 'v': {
         if (ctrlOrMeta) {
-          if (clipboardFigure) {
-            const now = Date.now();
-            if (now - lastPasteAtRef.current < pastCooldownMs) return;
-            lastPasteAtRef.current = now;
+          const now = Date.now();
+          if (now - lastPasteAtRef.current < pastCooldownMs) return;
+          lastPasteAtRef.current = now;
 
-            const { x, y } = mouseCoordinates;
-
-            const newFigure = {
-              ...clipboardFigure,
-              id: Date.now(),
-              points: moveToCoordinates(clipboardFigure, x, y),
-            };
+          handlePaste(mouseCoordinates);
+          break;
+        }
 
-            setActiveFigureInfo({ id: newFigure.id, x, y });
-            setAllFigures(prevAllFigures => [...prevAllFigures, newFigure]);
+        if (shiftKey) {
+          handleFlipStrokes('vertical');
+        }
 
-            setUndoStackFigures(prevUndoStack => [...prevUndoStack, { type: 'add', figures: [newFigure] }]);
-            setRedoStackFigures([]);
-          }
+        break;
+      }
+      case 'h': {
+        if (shiftKey && !ctrlOrMeta) {
+          handleFlipStrokes('horizontal');
         }
 
         break;
@@ -221,12 +412,39 @@ const Application = (settings) => {
       case 'c': {
         if (ctrlOrMeta) {
           if (activeFigureInfo) {
-            const activeFigure = findActiveFigure();
+            copyFiguresToClipboard(findActiveFigures());
+          }
+        }
 
-            setClipboardFigure({
-              ...activeFigure,
-              points: activeFigure.points.map(p => [...p]) // Avoid mutation
-            });
+        break;
+      }
+      case 'd': {
+        if (ctrlOrMeta && activeFigureInfo) {
+          event.preventDefault();
+          handleDuplicateFigures();
+        }
+
+        break;
+      }
+      case 'a': {
+        if (ctrlOrMeta && !shiftKey) {
+          event.preventDefault();
+
+          if (allFigures.length > 0) {
+            setActiveFigureInfo({ ids: allFigures.map(figure => figure.id) });
+          }
+        }
+
+        break;
+      }
+      case 'g': {
+        if (ctrlOrMeta && activeFigureInfo) {
+          event.preventDefault();
+
+          if (shiftKey) {
+            handleUngroupFigures();
+          } else {
+            handleGroupFigures();
           }
         }
 
@@ -253,6 +471,14 @@ const Application = (settings) => {
                 newActiveFigures = allFigures.filter(figure => !lastAction.figures.some(f => f.id === figure.id))
               }
 
+              if (lastAction.type === 'modify') {
+                newActiveFigures = applyFigureSnapshots(lastAction.after);
+              }
+
+              if (lastAction.type === 'reorder') {
+                newActiveFigures = sortFiguresByIds(allFigures, lastAction.after);
+              }
+
               setAllFigures(newActiveFigures);
               setUndoStackFigures(prevUndoStack => [...prevUndoStack, lastAction]);
               setRedoStackFigures(prevRedoStack => prevRedoStack.slice(0, -1));
@@ -274,6 +500,14 @@ const Application = (settings) => {
               newActiveFigures = [...allFigures, ...lastAction.figures];
             }
 
+            if (lastAction.type === 'modify') {
+              newActiveFigures = applyFigureSnapshots(lastAction.before);
+            }
+
+            if (lastAction.type === 'reorder') {
+              newActiveFigures = sortFiguresByIds(allFigures, lastAction.before);
+            }
+
             setAllFigures(newActiveFigures);
             setUndoStackFigures(prevUndoStack => prevUndoStack.slice(0, -1));
             setRedoStackFigures(prevRedoStack => [...prevRedoStack, lastAction]);
@@ -286,8 +520,6 @@ const Application = (settings) => {
       case 'arrowup':
       case 'arrowdown': {
         if (activeFigureInfo) {
-          const activeFigure = findActiveFigure()
-
           let offset = 2;
           if (shiftKey) { offset *= 5 }
 
@@ -300,11 +532,19 @@ const Application = (settings) => {
 
           const [dx, dy] = directionMap[eventKey];
 
-          activeFigure.points.forEach((point) => {
-            point[0] += dx;
-            point[1] += dy;
+          const activeFigures = findActiveFigures();
+          const before = activeFigures.map(cloneFigure);
+
+          activeFigures.forEach((figure) => {
+            figure.points.forEach((point) => {
+              point[0] += dx;
+              point[1] += dy;
+            });
           });
 
+          // NOTE: Holding the key moves figures as a single history step
+          pushModifyAction(before, activeFigures.map(cloneFigure), { merge: eventRepeat });
+
           setAllFigures([...allFigures]);
         }
         break;
@@ -312,13 +552,13 @@ const Application = (settings) => {
       case 'delete':
       case 'backspace': {
         if (activeFigureInfo) {
-          const figureToRemove = allFigures.find(figure => figure.id === activeFigureInfo.id);
-          const newActiveFigures = allFigures.filter(figure => figure.id !== activeFigureInfo.id)
+          const figuresToRemove = findActiveFigures();
+          const newActiveFigures = allFigures.filter(figure => !activeFigureInfo.ids.includes(figure.id))
 
           setActiveFigureInfo(null);
           setAllFigures(newActiveFigures);
 
-          setUndoStackFigures(prevUndoStack => [...prevUndoStack, { type: 'remove', figures: [figureToRemove] }]);
+          setUndoStackFigures(prevUndoStack => [...prevUndoStack, { type: 'remove', figures: figuresToRemove }]);
           setRedoStackFigures([]);
         }
         break;
@@ -327,7 +567,7 @@ const Application = (settings) => {
         if (activeFigureInfo) {
           const activeFigure = findActiveFigure()
 
-          if (activeFigure.type === 'text') {
+          if (activeFigure && activeFigure.type === 'text') {
             activateTextEditor(activeFigure);
 
             event.preventDefault();
@@ -357,6 +597,20 @@ const Application = (settings) => {
         handleChangeTool('eraser');
         break;
       }
+      case 'pageup': {
+        if (showWhiteboard) {
+          event.preventDefault();
+          handleGoToPage(activePageIndex - 1);
+        }
+        break;
+      }
+      case 'pagedown': {
+        if (showWhiteboard) {
+          event.preventDefault();
+          handleGoToPage(activePageIndex + 1);
+        }
+        break;
+      }
       case 'x': {
         if (['eraser', 'laser'].includes(activeTool)) {
           break;
@@ -377,6 +631,28 @@ const Application = (settings) => {
     }
 
     switch (eventCode) {
+      case 'quote': {
+        if (ctrlOrMeta) {
+          event.preventDefault();
+          setShowGrid(prevShowGrid => !prevShowGrid);
+        }
+
+        break;
+      }
+      case 'bracketright': {
+        if (ctrlOrMeta) {
+          event.preventDefault();
+          handleReorderFigures(shiftKey ? 'front' : 'forward');
+        }
+        break;
+      }
+      case 'bracketleft': {
+        if (ctrlOrMeta) {
+          event.preventDefault();
+          handleReorderFigures(shiftKey ? 'back' : 'backward');
+        }
+        break;
+      }
       case 'digit1': {
         let nextBrush = toolbarLastActiveBrush;
 
@@ -435,7 +711,7 @@ const Application = (settings) => {
         break;
       }
     }
-  }, [allFigures, undoStackFigures, redoStackFigures, clipboardFigure, isDrawing, activeFigureInfo, activeTool, activeColorIndex, activeWidthIndex, toolbarLastActiveBrush, toolbarLastActiveFigure, textEditorContainer, mouseCoordinates, mainColorIndex, secondaryColorIndex]);
+  }, [allFigures, undoStackFigures, redoStackFigures, pages, activePageIndex, isDrawing, isPolylineDrawing, showWhiteboard, isRegionCapture, activeFigureInfo, selectionArea, activeTool, activeColorIndex, activeWidthIndex, toolbarLastActiveBrush, toolbarLastActiveFigure, textEditorContainer, mouseCoordinates, mainColorIndex, secondaryColorIndex]);
 
   const handleKeyUp = useCallback((event) => {
     const eventKey = (event.key || '').toLowerCase();
@@ -524,10 +800,16 @@ const Application = (settings) => {
     const debouncedUpdateSettings = debounce(() => {
       invokeSetSettings({
         show_whiteboard: showWhiteboard,
+        show_grid: showGrid,
         show_tool_bar: showToolbar,
         tool_bar_active_tool: activeTool,
         tool_bar_active_color_index: activeColorIndex,
         tool_bar_active_weight_index: activeWidthIndex,
+        tool_bar_active_fill: activeFill,
+        tool_bar_active_stroke_style: activeStrokeStyle,
+        tool_bar_active_corner_radius: activeCornerRadius,
+        tool_bar_active_shadow: activeShadow,
+        tool_bar_active_markers: activeMarkers,
         tool_bar_default_brush: toolbarLastActiveBrush,
         tool_bar_default_figure: toolbarLastActiveFigure,
         tool_bar_x: toolbarPosition.x,
@@ -540,17 +822,48 @@ const Application = (settings) => {
     return () => {
       debouncedUpdateSettings.cancel();
     };
-  }, [showWhiteboard, showToolbar, activeTool, activeColorIndex, activeWidthIndex, toolbarLastActiveBrush, toolbarLastActiveFigure, toolbarPosition]);
+  }, [showWhiteboard, showGrid, showToolbar, activeTool, activeColorIndex, activeWidthIndex, activeFill, activeStrokeStyle, activeCornerRadius, activeShadow, activeMarkers, toolbarLastActiveBrush, toolbarLastActiveFigure, toolbarPosition]);
+
+  useEffect(() => {
+    if (isDrawing) {
+      return;
+    }
+
+    const debouncedSaveDeskCheckpoint = debounce(() => {
+      invokeSaveDeskCheckpoint(collectPages(), activePageIndex);
+    }, 300);
+
+    debouncedSaveDeskCheckpoint();
+
+    // Reload (monitor switch, settings change) must not lose the last changes
+    window.addEventListener('beforeunload', debouncedSaveDeskCheckpoint.flush);
+
+    return () => {
+      window.removeEventListener('beforeunload', debouncedSaveDeskCheckpoint.flush);
+      debouncedSaveDeskCheckpoint.cancel();
+    };
+  }, [allFigures, undoStackFigures, redoStackFigures, pages, activePageIndex, isDrawing]);
 
   useEffect(() => {
     if (!activeFigureInfo) { return }
 
     const activeFigure = findActiveFigure();
+    if (!activeFigure) { return }
 
     setActiveColorIndex(activeFigure.colorIndex)
     setActiveWidthIndex(activeFigure.widthIndex)
   }, [activeFigureInfo])
 
+  const allFiguresByRef = useRef(null)
+  useEffect(() => {
+    allFiguresByRef.current = allFigures;
+  }, [allFigures]);
+
+  const deskPagesByRef = useRef(null)
+  useEffect(() => {
+    deskPagesByRef.current = { pages: collectPages(), activePageIndex };
+  }, [allFigures, undoStackFigures, redoStackFigures, pages, activePageIndex]);
+
   const allLasersFiguresByRef = useRef(null)
   useEffect(() => {
     allLasersFiguresByRef.current = allLaserFigures;
@@ -568,6 +881,11 @@ const Application = (settings) => {
     allFadeFiguresByRef.current = allFadeFigures;
   }, [allFadeFigures]);
 
+  const showWhiteboardByRef = useRef(null)
+  useEffect(() => {
+    showWhiteboardByRef.current = showWhiteboard;
+  }, [showWhiteboard]);
+
   useEffect(() => {
     const fadePaused = isSpacePressed || isFadeDrawing;
     
@@ -646,8 +964,98 @@ const Application = (settings) => {
     return activeFigureInfo && (activeFigureInfo.dragging || activeFigureInfo.resizing)
   }
 
+  const findActiveFigures = () => {
+    return allFigures.filter((figure) => activeFigureInfo.ids.includes(figure.id));
+  }
+
+  // NOTE: Returns the figure only when it is the single active one (dots, resizing, text editing)
   const findActiveFigure = () => {
-    return allFigures.find((figure) => figure.id === activeFigureInfo.id);
+    if (activeFigureInfo.ids.length !== 1) return null
+
+    return allFigures.find((figure) => figure.id === activeFigureInfo.ids[0]);
+  }
+
+  // NOTE: Markers of the selected arrow or line win over the defaults, so they can be changed with any tool
+  const findShownMarkers = () => {
+    const markableFigure = activeFigureInfo && findActiveFigures().find(figure => markableList.includes(figure.type));
+
+    if (markableFigure) return getFigureMarkers(markableFigure)
+
+    if (markableList.includes(activeTool)) return activeMarkers[activeTool]
+
+    return null
+  }
+
+  // NOTE: Snapshots are applied to the same objects, so other history actions keep pointing to them
+  const applyFigureSnapshots = (snapshots) => {
+    snapshots.forEach((snapshot) => {
+      const figure = allFigures.find(figure => figure.id === snapshot.id);
+
+      if (figure) {
+        // Fields that appeared after the snapshot (e.g. "groupId") are removed
+        Object.keys(figure).forEach((key) => {
+          if (!(key in snapshot)) delete figure[key];
+        });
+
+        Object.assign(figure, cloneFigure(snapshot));
+      }
+    });
+
+    return [...allFigures]
+  }
+
+  const pushModifyAction = (before, after, { merge = false } = {}) => {
+    if (before.every((snapshot, index) => areFiguresEqual(snapshot, after[index]))) {
+      return
+    }
+
+    setUndoStackFigures((prevUndoStack) => {
+      const lastAction = prevUndoStack.at(-1);
+
+      const canMerge = merge && lastAction && lastAction.type === 'modify' &&
+        lastAction.after.length === after.length &&
+        lastAction.after.every((snapshot, index) => snapshot.id === after[index].id);
+
+      if (canMerge) {
+        return [...prevUndoStack.slice(0, -1), { ...lastAction, after }]
+      }
+
+      return [...prevUndoStack, { type: 'modify', before, after }]
+    });
+    setRedoStackFigures([]);
+  }
+
+  // NOTE: Drag and resize are recorded once, when the mouse is released
+  const beginFiguresModify = (ids) => {
+    figuresBeforeModifyRef.current = allFigures.filter(figure => ids.includes(figure.id)).map(cloneFigure);
+  }
+
+  // NOTE: Hidden grid is not snapped to, guides are
+  const getGridSnapOptions = () => {
+    return { spacing: showGrid ? gridSpacing : null, guides: userGuides }
+  }
+
+  // NOTE: Targets are collected once per dragging, other figures do not move meanwhile
+  const getSnapTargetsForActive = () => {
+    if (!snapTargetsRef.current) {
+      const otherFigures = allFigures.filter(figure => !activeFigureInfo.ids.includes(figure.id));
+
+      snapTargetsRef.current = getSnapTargets(otherFigures, { width: window.innerWidth, height: window.innerHeight });
+    }
+
+    return snapTargetsRef.current
+  }
+
+  const commitFiguresModify = () => {
+    const before = figuresBeforeModifyRef.current;
+    figuresBeforeModifyRef.current = null;
+
+    if (!before) return
+
+    const after = before.map(snapshot => allFigures.find(figure => figure.id === snapshot.id));
+    if (after.some(figure => !figure)) return
+
+    pushModifyAction(before, after.map(cloneFigure));
   }
 
   const scheduleClearLaserTail = (id) => {
@@ -678,9 +1086,14 @@ const Application = (settings) => {
 
   const handleChangeColor = (newColorIndex) => {
     if (activeFigureInfo) {
-      const activeFigure = findActiveFigure()
+      const activeFigures = findActiveFigures();
+      const before = activeFigures.map(cloneFigure);
 
-      activeFigure.colorIndex = newColorIndex
+      activeFigures.forEach((figure) => {
+        figure.colorIndex = newColorIndex
+      })
+
+      pushModifyAction(before, activeFigures.map(cloneFigure));
     }
 
     setActiveColorIndex(newColorIndex);
@@ -689,28 +1102,128 @@ const Application = (settings) => {
 
   const handleChangeWidth = (newWidthIndex) => {
     if (activeFigureInfo) {
-      const activeFigure = findActiveFigure()
+      const activeFigures = findActiveFigures();
+      const before = activeFigures.map(cloneFigure);
 
-      activeFigure.widthIndex = newWidthIndex
+      activeFigures.forEach((figure) => {
+        figure.widthIndex = newWidthIndex
 
-      if (activeFigure.type === 'text') {
-        const [width, height] = calculateCanvasTextWidth(activeFigure.text, activeFigure.widthIndex);
+        if (figure.type === 'text') {
+          const [width, height] = calculateCanvasTextWidth(figure.text, figure.widthIndex);
 
-        activeFigure.width = width;
-        activeFigure.height = height;
-        activeFigure.scale = 1;
-      }
+          figure.width = width;
+          figure.height = height;
+          figure.scale = 1;
+        }
+      })
+
+      pushModifyAction(before, activeFigures.map(cloneFigure));
     }
 
     setActiveWidthIndex(newWidthIndex);
     setAllFigures([...allFigures]);
   };
 
+  // NOTE: Only rectangles, ovals and strokes take the fill, strokes show it when they are closed
+  const handleChangeFill = (newFill) => {
+    if (activeFigureInfo) {
+      const activeFigures = findActiveFigures().filter(figure => fillableList.includes(figure.type));
+      const before = activeFigures.map(cloneFigure);
+
+      activeFigures.forEach((figure) => {
+        figure.fill = newFill
+      })
+
+      pushModifyAction(before, activeFigures.map(cloneFigure));
+    }
+
+    setActiveFill(newFill);
+    setAllFigures([...allFigures]);
+  };
+
+  // NOTE: Only rectangles, ovals and lines take the stroke style
+  const handleChangeStrokeStyle = (newStrokeStyle) => {
+    if (activeFigureInfo) {
+      const activeFigures = findActiveFigures().filter(figure => strokeStylableList.includes(figure.type));
+      const before = activeFigures.map(cloneFigure);
+
+      activeFigures.forEach((figure) => {
+        figure.strokeStyle = newStrokeStyle
+      })
+
+      pushModifyAction(before, activeFigures.map(cloneFigure));
+    }
+
+    setActiveStrokeStyle(newStrokeStyle);
+    setAllFigures([...allFigures]);
+  };
+
+  const handleChangeCornerRadius = (newCornerRadius) => {
+    if (activeFigureInfo) {
+      const activeFigures = findActiveFigures().filter(figure => figure.type === 'rectangle');
+      const before = activeFigures.map(cloneFigure);
+
+      activeFigures.forEach((figure) => {
+        figure.cornerRadius = newCornerRadius
+      })
+
+      pushModifyAction(before, activeFigures.map(cloneFigure));
+    }
+
+    setActiveCornerRadius(newCornerRadius);
+    setAllFigures([...allFigures]);
+  };
+
+  const handleChangeShadow = (newShadow) => {
+    if (activeFigureInfo) {
+      const activeFigures = findActiveFigures().filter(figure => figure.type === 'arrow');
+      const before = activeFigures.map(cloneFigure);
+
+      activeFigures.forEach((figure) => {
+        figure.shadow = newShadow
+      })
+
+      pushModifyAction(before, activeFigures.map(cloneFigure));
+    }
+
+    setActiveShadow(newShadow);
+    setAllFigures([...allFigures]);
+  };
+
+  // NOTE: Side is "start" or "end", the marker becomes the default of the active tool
+  const handleChangeMarker = (side, newMarker) => {
+    const field = side === 'start' ? 'startMarker' : 'endMarker';
+
+    if (activeFigureInfo) {
+      const activeFigures = findActiveFigures().filter(figure => markableList.includes(figure.type));
+      const before = activeFigures.map(cloneFigure);
+
+      activeFigures.forEach((figure) => {
+        figure[field] = newMarker
+      })
+
+      pushModifyAction(before, activeFigures.map(cloneFigure));
+    }
+
+    if (markableList.includes(activeTool)) {
+      setActiveMarkers({
+        ...activeMarkers,
+        [activeTool]: { ...activeMarkers[activeTool], [side]: newMarker },
+      });
+    }
+
+    setAllFigures([...allFigures]);
+  };
+
   const handleChangeTool = (toolName) => {
     if (activeTool === toolName) {
       return
     }
 
+    if (isPolylineDrawing) {
+      finishPolyline();
+    }
+
     setActiveFigureInfo(null);
     setActiveTool(toolName);
 
@@ -723,15 +1236,76 @@ const Application = (settings) => {
     }
   };
 
-  const moveFigureToTop = (figureId) => {
-    setAllFigures(figures => {
-      const target = figures.find(figure => figure.id === figureId);
-      if (!target) return figures;
+  // NOTE: Direction is one of "forward", "backward", "front", "back"
+  const handleReorderFigures = (direction) => {
+    if (!activeFigureInfo) return
+
+    const reorderedFigures = reorderFigures(allFigures, activeFigureInfo.ids, direction);
+
+    const before = allFigures.map(figure => figure.id);
+    const after = reorderedFigures.map(figure => figure.id);
+
+    if (before.every((id, index) => id === after[index])) return
+
+    setAllFigures(reorderedFigures);
+
+    setUndoStackFigures(prevUndoStack => [...prevUndoStack, { type: 'reorder', before, after }]);
+    setRedoStackFigures([]);
+  };
+
+  // NOTE: Group is selected as a whole
+  const withGroupMembers = (ids) => {
+    const groupIds = allFigures
+      .filter(figure => ids.includes(figure.id) && figure.groupId)
+      .map(figure => figure.groupId);
+
+    return allFigures
+      .filter(figure => ids.includes(figure.id) || groupIds.includes(figure.groupId))
+      .map(figure => figure.id);
+  };
+
+  const handleGroupFigures = () => {
+    const activeFigures = findActiveFigures();
+    if (activeFigures.length < 2) return
 
-      const others = figures.filter(figure => figure.id !== figureId);
+    const before = activeFigures.map(cloneFigure);
+    const groupId = Date.now();
 
-      return [...others, target];
+    activeFigures.forEach((figure) => {
+      figure.groupId = groupId
     });
+
+    pushModifyAction(before, activeFigures.map(cloneFigure));
+    setAllFigures([...allFigures]);
+  };
+
+  // NOTE: Only freehand strokes of the selection are flipped
+  const handleFlipStrokes = (direction) => {
+    if (!activeFigureInfo) return
+
+    const strokes = findActiveFigures().filter(figure => ['pen', 'highlighter'].includes(figure.type));
+    if (strokes.length === 0) return
+
+    const before = strokes.map(cloneFigure);
+
+    flipFigures(strokes, direction);
+
+    pushModifyAction(before, strokes.map(cloneFigure));
+    setAllFigures([...allFigures]);
+  };
+
+  const handleUngroupFigures = () => {
+    const activeFigures = findActiveFigures().filter(figure => figure.groupId);
+    if (activeFigures.length === 0) return
+
+    const before = activeFigures.map(cloneFigure);
+
+    activeFigures.forEach((figure) => {
+      delete figure.groupId
+    });
+
+    pushModifyAction(before, activeFigures.map(cloneFigure));
+    setAllFigures([...allFigures]);
   };
 
   const getFigureAtMousePosition = (x, y) => {
@@ -741,20 +1315,69 @@ const Application = (settings) => {
   const getDotNameAtMousePosition = (x, y) => {
     const activeFigure = findActiveFigure()
 
-    return getDotNameOnFigure(x, y, activeFigure)
+    if (activeFigure) {
+      return getDotNameOnFigure(x, y, activeFigure)
+    }
+
+    const activeFigures = findActiveFigures()
+
+    if (getCommonGroupId(activeFigures)) {
+      return getDotNameOnBounds(x, y, getFiguresBounds(activeFigures))
+    }
+
+    return null
+  }
+
+  // NOTE: Single figure is dragged by its body, several figures - by their common bounds
+  const isOverActiveFigures = (x, y) => {
+    const activeFigure = findActiveFigure()
+
+    if (activeFigure) {
+      return isOverFigure(x, y, activeFigure)
+    }
+
+    const activeFigures = findActiveFigures()
+    if (activeFigures.length === 0) return false
+
+    return isOverBounds(x, y, getFiguresBounds(activeFigures))
+  }
+
+  const selectFiguresInArea = (area) => {
+    const isInArea = area.type === 'marquee'
+      ? (figure) => isFigureInRectangle(figure, area.points[0], area.points[1])
+      : (figure) => isFigureInPolygon(figure, area.points)
+
+    const ids = withGroupMembers(allFigures
+      .filter(figure => area.baseIds.includes(figure.id) || isInArea(figure))
+      .map(figure => figure.id));
+
+    setActiveFigureInfo(ids.length > 0 ? { ids } : null);
+  }
+
+  const toggleFigureSelection = (figureId) => {
+    const ids = activeFigureInfo ? activeFigureInfo.ids : [];
+    const figureIds = withGroupMembers([figureId]);
+
+    if (ids.includes(figureId)) {
+      const restIds = ids.filter(id => !figureIds.includes(id));
+
+      setActiveFigureInfo(restIds.length > 0 ? { ids: restIds } : null);
+      return
+    }
+
+    setActiveFigureInfo({ ids: [...ids, ...figureIds] });
   }
 
   const setMouseCursor = (x, y) => {
     if (activeFigureInfo) {
-      const activeFigure = findActiveFigure()
       const resizingDotName = getDotNameAtMousePosition(x, y);
 
       if (resizingDotName) {
-        setCursorType('move');
+        setCursorType(resizingDotName === 'rotate' ? 'grab' : 'move');
         return
       }
 
-      if (isOverFigure(x, y, activeFigure)) {
+      if (isOverActiveFigures(x, y)) {
         setCursorType('move');
         return
       }
@@ -776,8 +1399,15 @@ const Application = (settings) => {
   const eraseOnIntersection = (eraserFigure) => (prevFigures) => {
     let hasChanges = false;
 
+    // NOTE: Touching any figure of the group erases the whole group
+    const erasedGroupIds = prevFigures
+      .filter(figure => !figure.erased && figure.groupId && areFiguresIntersecting(eraserFigure, figure))
+      .map(figure => figure.groupId);
+
     const updatedFigures = prevFigures.map((figure) => {
-      if (!figure.erased && areFiguresIntersecting(eraserFigure, figure)) {
+      if (figure.erased) return figure;
+
+      if (erasedGroupIds.includes(figure.groupId) || areFiguresIntersecting(eraserFigure, figure)) {
         hasChanges = true;
         return { ...figure, erased: true };
       }
@@ -792,39 +1422,84 @@ const Application = (settings) => {
     setFadeFigures(eraseOnIntersection(eraserFigure));
   }
 
-  const handleMouseDown = ({ x, y }) => {
+  const handleMouseDown = ({ x, y, shiftKey, altKey, ctrlOrMeta }) => {
+    const canSelectFigures = [...brushList, ...shapeList, 'text'].includes(activeTool);
+
+    // Every click adds a vertex until the polyline is finished
+    if (isPolylineDrawing) {
+      addPolylineVertex({ x, y, altKey });
+      return;
+    }
+
     // Diactivate text editor
     if (textEditorContainer) {
       setTextEditorContainer({ ...textEditorContainer, isActive: false });
     }
 
-    // With Active Figure
+    // Click on dots of the active figure
     if (activeFigureInfo) {
-      // Click on dots of the active figure
-      const activeFigure = findActiveFigure()
       const resizingDotName = getDotNameAtMousePosition(x, y);
 
       if (resizingDotName) {
+        beginFiguresModify(activeFigureInfo.ids);
         setActiveFigureInfo({ ...activeFigureInfo, resizing: true, resizingDotName: resizingDotName });
         return;
       }
+    }
+
+    // Shift-click adds the figure to the selection or removes it
+    if (canSelectFigures && shiftKey && !ctrlOrMeta) {
+      const selectedFigure = getFigureAtMousePosition(x, y);
+
+      if (selectedFigure) {
+        toggleFigureSelection(selectedFigure.id);
+        return;
+      }
+    }
 
-      if (isOverFigure(x, y, activeFigure)) {
+    const activeIds = activeFigureInfo ? activeFigureInfo.ids : [];
+
+    // With Active Figures
+    if (activeFigureInfo) {
+      if (!ctrlOrMeta && isOverActiveFigures(x, y)) {
+        if (altKey) {
+          startDuplicateDragging(activeFigureInfo.ids, { x, y });
+          return;
+        }
+
+        beginFiguresModify(activeFigureInfo.ids);
         setActiveFigureInfo({ ...activeFigureInfo, dragging: true, x, y });
         return;
       }
 
-      // Diactivate active figure
+      // Diactivate active figures
       setActiveFigureInfo(null);
     }
 
+    // Marquee (or lasso with Alt) selection, Shift keeps the current selection
+    if (canSelectFigures && ctrlOrMeta) {
+      setSelectionArea({
+        type: altKey ? 'lasso' : 'marquee',
+        points: altKey ? [[x, y]] : [[x, y], [x, y]],
+        baseIds: shiftKey ? activeIds : [],
+      });
+      return;
+    }
+
     // Click on the figure
-    if ([...brushList, ...shapeList, 'text'].includes(activeTool)) {
+    if (canSelectFigures) {
       const selectedFigure = getFigureAtMousePosition(x, y);
 
       if (selectedFigure) {
-        moveFigureToTop(selectedFigure.id)
-        setActiveFigureInfo({ id: selectedFigure.id, dragging: true, x, y });
+        const ids = withGroupMembers([selectedFigure.id]);
+
+        if (altKey) {
+          startDuplicateDragging(ids, { x, y });
+          return;
+        }
+
+        beginFiguresModify(ids);
+        setActiveFigureInfo({ ids, dragging: true, x, y });
         return;
       }
     }
@@ -858,6 +1533,13 @@ const Application = (settings) => {
       return;
     }
 
+    // NOTE: Shapes and text start on the grid, strokes are drawn freely
+    if (snapToGrid && !altKey && [...shapeList, 'text'].includes(activeTool)) {
+      const result = applyGridSnap(x, y, getGridSnapOptions());
+      x = result.x;
+      y = result.y;
+    }
+
     if (activeTool === 'text') {
       if (!textEditorContainer) {
         const newTextEditor = {
@@ -887,10 +1569,37 @@ const Application = (settings) => {
       ratio: 1,
     };
 
+    if (fillableList.includes(newFigure.type)) {
+      newFigure.fill = activeFill;
+    }
+
+    if (strokeStylableList.includes(newFigure.type)) {
+      newFigure.strokeStyle = activeStrokeStyle;
+    }
+
+    if (newFigure.type === 'rectangle') {
+      newFigure.cornerRadius = activeCornerRadius;
+    }
+
+    if (newFigure.type === 'arrow') {
+      newFigure.shadow = activeShadow;
+    }
+
+    if (markableList.includes(newFigure.type)) {
+      newFigure.startMarker = activeMarkers[newFigure.type].start;
+      newFigure.endMarker = activeMarkers[newFigure.type].end;
+    }
+
+    // NOTE: Last point of a shape follows the mouse
     if (shapeList.includes(newFigure.type)) {
       newFigure.points.push([x, y]);
     }
 
+    if (newFigure.type === 'polyline') {
+      newFigure.closed = false;
+      setIsPolylineDrawing(true);
+    }
+
     if (activeTool === 'fadepen') {
       setIsFadeDrawing(true);
       setFadeFigures(prevFadeFigures => [...prevFadeFigures, newFigure]);
@@ -902,19 +1611,107 @@ const Application = (settings) => {
     setIsDrawing(true);
   };
 
-  const handleMouseMove = ({ x, y }) => {
+  const handleMouseMove = ({ x, y, altKey }) => {
+    if (selectionArea) {
+      const points = selectionArea.type === 'marquee'
+        ? [selectionArea.points[0], [x, y]]
+        : [...selectionArea.points, [x, y]];
+
+      const updatedSelectionArea = { ...selectionArea, points };
+
+      setSelectionArea(updatedSelectionArea);
+      selectFiguresInArea(updatedSelectionArea);
+      return
+    }
+
     if (isActiveFigureMoving()) {
-      const activeFigure = findActiveFigure()
+      let snapOffset = [0, 0];
+      let guides = [];
+
+      // NOTE: Alt starts the copy, so the copy moves freely only when Alt is pressed again
+      const altReleased = activeFigureInfo.altReleased || !altKey;
+      const isFreeMove = altKey && (!activeFigureInfo.duplicating || altReleased);
 
       if (activeFigureInfo.dragging) {
-        dragFigure(activeFigure, { x: activeFigureInfo.x, y: activeFigureInfo.y }, { x, y })
+        const activeFigures = findActiveFigures();
+
+        // NOTE: Figures are already shifted by the previous snap, so it is taken back first
+        const [prevSnapX, prevSnapY] = activeFigureInfo.snapOffset || [0, 0];
+        let offsetX = x - activeFigureInfo.x - prevSnapX;
+        let offsetY = y - activeFigureInfo.y - prevSnapY;
+
+        if (!isFreeMove && activeFigures.length > 0) {
+          const { minX, minY, maxX, maxY } = getFiguresBounds(activeFigures);
+          const movedBounds = {
+            minX: minX + offsetX,
+            minY: minY + offsetY,
+            maxX: maxX + offsetX,
+            maxY: maxY + offsetY,
+          };
+
+          let snap
+
+          if (snapToGrid) {
+            // NOTE: Top left corner of the figures snaps to the grid or guides
+            const result = applyGridSnap(movedBounds.minX, movedBounds.minY, getGridSnapOptions());
+
+            snap = { offsetX: result.x - movedBounds.minX, offsetY: result.y - movedBounds.minY, guides: [] };
+          } else {
+            snap = snapBounds(movedBounds, getSnapTargetsForActive());
+          }
+
+          offsetX += snap.offsetX;
+          offsetY += snap.offsetY;
+
+          snapOffset = [snap.offsetX, snap.offsetY];
+          guides = snap.guides;
+        }
+
+        activeFigures.forEach((figure) => {
+          dragFigure(figure, { x: 0, y: 0 }, { x: offsetX, y: offsetY })
+        })
       }
 
       if (activeFigureInfo.resizing) {
-        resizeFigure(activeFigure, activeFigureInfo.resizingDotName, { x, y, isShiftPressed })
+        const activeFigure = findActiveFigure()
+        const { resizingDotName } = activeFigureInfo;
+
+        // NOTE: Rotated figures are resized in their own space, so they are not snapped
+        if (!altKey && resizingDotName !== 'rotate' && !(activeFigure && activeFigure.rotation)) {
+          const hasDotMargin = !activeFigure || ['pen', 'highlighter', 'text'].includes(activeFigure.type);
+
+          if (snapToGrid) {
+            const edgeOffset = getResizeEdgeOffset(resizingDotName, hasDotMargin);
+
+            if (edgeOffset) {
+              const result = applyGridSnap(x + edgeOffset[0], y + edgeOffset[1], getGridSnapOptions());
+              x = result.x - edgeOffset[0];
+              y = result.y - edgeOffset[1];
+            }
+          } else {
+            const snap = snapResizePoint({ x, y }, { resizingDotName, hasDotMargin }, getSnapTargetsForActive());
+
+            x = snap.x;
+            y = snap.y;
+            guides = snap.guides;
+          }
+        }
+
+        if (activeFigure && ['pen', 'highlighter'].includes(activeFigure.type)) {
+          resizeStroke(activeFigure, figuresBeforeModifyRef.current[0], activeFigureInfo.resizingDotName, { x, y, isShiftPressed })
+        } else if (activeFigure) {
+          resizeFigure(activeFigure, activeFigureInfo.resizingDotName, { x, y, isShiftPressed })
+        } else {
+          resizeFigures(findActiveFigures(), figuresBeforeModifyRef.current, activeFigureInfo.resizingDotName, { x, y })
+        }
       }
 
-      setActiveFigureInfo({ ...activeFigureInfo, x, y });
+      const duplicateInfo = activeFigureInfo.duplicating
+        ? { altReleased, moved: activeFigureInfo.moved || x !== activeFigureInfo.x || y !== activeFigureInfo.y }
+        : {};
+
+      setActiveFigureInfo({ ...activeFigureInfo, ...duplicateInfo, x, y, snapOffset });
+      setSnapGuides(guides);
       setAllFigures([...allFigures]);
       return
     }
@@ -959,6 +1756,15 @@ const Application = (settings) => {
         return
       }
 
+      if (activeTool === 'polyline') {
+        const currentFigure = allFigures[allFigures.length - 1];
+
+        currentFigure.points[currentFigure.points.length - 1] = snapPolylinePoint(currentFigure, { x, y, altKey });
+
+        setAllFigures([...allFigures]);
+        return
+      }
+
       if (shapeList.includes(activeTool)) {
         const currentFigure = allFigures[allFigures.length - 1];
 
@@ -978,6 +1784,10 @@ const Application = (settings) => {
             x = result.x;
             y = result.y;
           }
+        } else if (snapToGrid && !altKey) {
+          const result = applyGridSnap(x, y, getGridSnapOptions());
+          x = result.x;
+          y = result.y;
         }
 
         currentFigure.points[1] = [x, y];
@@ -991,6 +1801,11 @@ const Application = (settings) => {
   };
 
   const handleMouseUp = ({ x, y }) => {
+    // NOTE: Polyline is finished by a double click, Enter or a click on its first vertex
+    if (isPolylineDrawing) {
+      return
+    }
+
     if (isDrawing) {
       const upPoint = [x, y];
 
@@ -1081,33 +1896,235 @@ const Application = (settings) => {
       }
     }
 
-    if (isActiveFigureMoving()) {
-      const activeFigure = findActiveFigure()
+    if (selectionArea) {
+      setSelectionArea(null);
+    }
 
+    if (isActiveFigureMoving()) {
       if (activeFigureInfo.resizing) {
-        if (['rectangle', 'oval'].includes(activeFigure.type)) {
+        const activeFigure = findActiveFigure()
+
+        if (activeFigure && ['rectangle', 'oval'].includes(activeFigure.type)) {
           activeFigure.ratio = calculateAspectRatio(activeFigure);
 
           setAllFigures([...allFigures]);
         }
       }
 
-      setActiveFigureInfo({ id: activeFigureInfo.id });
+      // NOTE: Copy that wasn't moved would stay hidden right on top of the original
+      const isCopyDropped = activeFigureInfo.duplicating && !activeFigureInfo.moved;
+
+      if (isCopyDropped) {
+        setAllFigures(allFigures.filter(figure => !activeFigureInfo.ids.includes(figure.id)));
+      } else if (activeFigureInfo.duplicating) {
+        setUndoStackFigures(prevUndoStack => [...prevUndoStack, { type: 'add', figures: findActiveFigures() }]);
+        setRedoStackFigures([]);
+      } else {
+        commitFiguresModify();
+      }
+
+      snapTargetsRef.current = null;
+      setSnapGuides([]);
+      setActiveFigureInfo({ ids: isCopyDropped ? activeFigureInfo.sourceIds : activeFigureInfo.ids });
+    }
+
+    setIsDrawing(false);
+  };
+
+  // NOTE: Shift snaps the angle from the previous vertex, the grid is ignored with Alt
+  const snapPolylinePoint = (figure, { x, y, altKey }) => {
+    const [prevX, prevY] = figure.points.at(-2);
+
+    if (isShiftPressed) {
+      const result = applySoftSnap(prevX, prevY, x, y);
+
+      return [result.x, result.y]
+    }
+
+    if (snapToGrid && !altKey) {
+      const result = applyGridSnap(x, y, getGridSnapOptions());
+
+      return [result.x, result.y]
+    }
+
+    return [x, y]
+  };
+
+  const addPolylineVertex = ({ x, y, altKey }) => {
+    const currentFigure = allFigures.at(-1);
+    const vertices = currentFigure.points.slice(0, -1);
+
+    if (vertices.length >= 3 && distanceBetweenPoints(vertices[0], [x, y]) <= polylineCloseDistance) {
+      finishPolyline({ closed: true });
+      return
     }
 
+    const point = snapPolylinePoint(currentFigure, { x, y, altKey });
+
+    // NOTE: Second click of a double click lands on the vertex added by the first one
+    if (distanceBetweenPoints(vertices.at(-1), point) < minObjectDistance) {
+      return
+    }
+
+    currentFigure.points = [...vertices, point, [...point]];
+
+    setAllFigures([...allFigures]);
+  };
+
+  const finishPolyline = ({ closed = false } = {}) => {
+    const currentFigure = allFigures.at(-1);
+    const vertices = currentFigure.points.slice(0, -1); // Without the point following the mouse
+
+    setIsPolylineDrawing(false);
     setIsDrawing(false);
+
+    if (vertices.length < 2) {
+      setAllFigures(allFigures => allFigures.slice(0, -1));
+      return
+    }
+
+    currentFigure.points = vertices;
+    currentFigure.closed = closed;
+
+    setUndoStackFigures(prevUndoStack => [...prevUndoStack, { type: 'add', figures: [currentFigure] }]);
+    setRedoStackFigures([]);
+    setAllFigures([...allFigures]);
   };
 
   const handleDoubleClick = ({ x, y }) => {
+    if (isPolylineDrawing) {
+      finishPolyline();
+      return
+    }
+
     if (activeFigureInfo) {
       const activeFigure = findActiveFigure()
 
-      if (activeFigure.type === 'text') {
+      if (activeFigure && activeFigure.type === 'text') {
         activateTextEditor(activeFigure);
       }
     }
   };
 
+  const copyFiguresToClipboard = async (figures) => {
+    const fontData = await loadSvgFontData(figures);
+
+    try {
+      await writeFiguresToClipboard(figures, { fontData, dpr: window.devicePixelRatio || 1 });
+    } catch (error) {
+      console.error('Failed to copy figures to the clipboard:', error);
+    }
+  };
+
+  // NOTE: Figures copied in any DrawPen instance win over an image in the clipboard
+  const handlePaste = async ({ x, y }) => {
+    let clipboardFigures = [];
+
+    try {
+      clipboardFigures = await readFiguresFromClipboard();
+    } catch (error) {
+      console.error('Failed to read figures from the clipboard:', error);
+    }
+
+    if (clipboardFigures.length > 0) {
+      pasteFigures(clipboardFigures, { x, y });
+      return
+    }
+
+    const image = await invokeReadClipboardImage();
+
+    if (image) {
+      addImageFigures([image], { x, y });
+    }
+  };
+
+  const pasteFigures = (figures, { x, y }) => {
+    const newFigures = duplicateFigures(figures, moveToCoordinates(figures, x, y));
+
+    addDuplicatedFigures(newFigures);
+  };
+
+  const handleDuplicateFigures = () => {
+    const activeFigures = findActiveFigures();
+    if (activeFigures.length === 0) return
+
+    const movedPoints = activeFigures.map(figure => figure.points.map(([x, y]) => [x + duplicateOffset, y + duplicateOffset]));
+
+    addDuplicatedFigures(duplicateFigures(activeFigures, movedPoints));
+  };
+
+  const addDuplicatedFigures = (newFigures) => {
+    setActiveFigureInfo({ ids: newFigures.map(figure => figure.id) });
+    setAllFigures(prevAllFigures => [...prevAllFigures, ...newFigures]);
+
+    setUndoStackFigures(prevUndoStack => [...prevUndoStack, { type: 'add', figures: newFigures }]);
+    setRedoStackFigures([]);
+  };
+
+  // NOTE: Copy is dragged out of the original, it is added to the history on mouse up
+  const startDuplicateDragging = (ids, { x, y }) => {
+    const figures = allFigures.filter(figure => ids.includes(figure.id));
+    const newFigures = duplicateFigures(figures, figures.map(figure => figure.points.map(point => [...point])));
+
+    setAllFigures([...allFigures, ...newFigures]);
+    setActiveFigureInfo({ ids: newFigures.map(figure => figure.id), sourceIds: ids, dragging: true, duplicating: true, x, y });
+  };
+
+  const addImageFigures = async (sources, { x, y }) => {
+    const newFigures = [];
+
+    for (const [index, src] of sources.entries()) {
+      let image
+
+      try {
+        image = await loadImage(src);
+      } catch (error) {
+        console.error('Failed to add the image:', error);
+        continue
+      }
+
+      const offset = index * imageDropOffset;
+
+      newFigures.push(createImageFigure(src, image, [x + offset, y + offset], {
+        id: Date.now() + index,
+        colorIndex: activeColorIndex,
+        widthIndex: activeWidthIndex,
+        rainbowColorDeg: rainbowColorDeg,
+      }));
+    }
+
+    if (newFigures.length === 0) return
+
+    setActiveFigureInfo({ ids: newFigures.map(figure => figure.id) });
+    setAllFigures(prevAllFigures => [...prevAllFigures, ...newFigures]);
+
+    setUndoStackFigures(prevUndoStack => [...prevUndoStack, { type: 'add', figures: newFigures }]);
+    setRedoStackFigures([]);
+  };
+
+  const handleDragOver = (event) => {
+    event.preventDefault();
+  };
+
+  const handleDrop = async (event) => {
+    event.preventDefault();
+
+    if (isRegionCapture) return
+
+    const files = [...event.dataTransfer.files].filter(file => file.type.startsWith('image/'));
+    if (files.length === 0) return
+
+    const coordinates = getMouseCoordinates(event);
+
+    try {
+      const sources = await Promise.all(files.map(readFileAsDataUrl));
+
+      addImageFigures(sources, coordinates);
+    } catch (error) {
+      console.error('Failed to read the dropped files:', error);
+    }
+  };
+
   const handleMousePosition = (event) => {
     setMouseCoordinates(getMouseCoordinates(event));
   }
@@ -1126,10 +2143,62 @@ const Application = (settings) => {
     window.electronAPI.invokeOpenSettings();
   }
 
-  const invokeMakeScreenshot = () => {
+  const invokeMakeScreenshot = (region = null, destination) => {
     console.log('Renderer -> Main: Invoke Make Screenshot');
 
-    window.electronAPI.invokeMakeScreenshot();
+    window.electronAPI.invokeMakeScreenshot(region, destination);
+  }
+
+  const invokeSaveDesk = (deskPages, pageIndex) => {
+    console.log('Renderer -> Main: Invoke Save Desk');
+
+    window.electronAPI.invokeSaveDesk(serializeDesk(deskPages, { activePageIndex: pageIndex }));
+  }
+
+  const invokeSaveDeskCheckpoint = (deskPages, pageIndex) => {
+    window.electronAPI.invokeSaveDeskCheckpoint(serializeDesk(deskPages, { activePageIndex: pageIndex, withHistory: true }));
+  }
+
+  const invokeOpenDesk = () => {
+    console.log('Renderer -> Main: Invoke Open Desk');
+
+    window.electronAPI.invokeOpenDesk();
+  }
+
+  const invokeSaveSvg = async (figures) => {
+    console.log('Renderer -> Main: Invoke Save SVG');
+
+    const fontData = await loadSvgFontData(figures);
+
+    const svg = buildDeskSvg(figures, {
+      width: window.innerWidth,
+      height: window.innerHeight,
+      fontData,
+    });
+
+    window.electronAPI.invokeSaveSvg(svg);
+  }
+
+  const invokeSavePng = async (figures, withWhiteboard) => {
+    console.log('Renderer -> Main: Invoke Save PNG');
+
+    // NOTE: Images of the loaded desk may be not decoded yet
+    await Promise.allSettled(figures.filter(figure => figure.type === 'image').map(figure => loadImage(figure.src)));
+
+    const dataUrl = buildDeskPng(figures, {
+      width: window.innerWidth,
+      height: window.innerHeight,
+      dpr: window.devicePixelRatio || 1,
+      withWhiteboard,
+    });
+
+    window.electronAPI.invokeSavePng(dataUrl);
+  }
+
+  const invokeReadClipboardImage = () => {
+    console.log('Renderer -> Main: Invoke Read Clipboard Image');
+
+    return window.electronAPI.invokeReadClipboardImage();
   }
 
   const invokeOpenNotification = (info) => {
@@ -1158,7 +2227,6 @@ const Application = (settings) => {
     setTextEditorContainer(null);
     setUndoStackFigures([]);
     setRedoStackFigures([]);
-    setClipboardFigure(null);
   };
 
   const handleToggleToolbar = () => {
@@ -1180,6 +2248,9 @@ const Application = (settings) => {
     setShowCuteCursor(newSettings.show_cute_cursor);
     setMainColorIndex(newSettings.swap_colors_indexes[0]);
     setSecondaryColorIndex(newSettings.swap_colors_indexes[1]);
+    setGridStyle(newSettings.grid_style);
+    setGridSpacing(newSettings.grid_spacing);
+    setSnapToGrid(newSettings.snap_to_grid);
   };
 
   const handleShowNotification = (_, data) => {
@@ -1194,6 +2265,185 @@ const Application = (settings) => {
     });
   };
 
+  const handleSaveDesk = () => {
+    console.log('Main -> Renderer: Save Desk');
+
+    const { pages: deskPages, activePageIndex: pageIndex } = deskPagesByRef.current;
+
+    invokeSaveDesk(deskPages, pageIndex);
+  };
+
+  const handleExportSvg = () => {
+    console.log('Main -> Renderer: Export SVG');
+
+    invokeSaveSvg(allFiguresByRef.current);
+  };
+
+  const handleExportPng = () => {
+    console.log('Main -> Renderer: Export PNG');
+
+    invokeSavePng(allFiguresByRef.current, showWhiteboardByRef.current);
+  };
+
+  const stopRecordingRef = useRef(null);
+
+  const handleToggleRecording = async () => {
+    console.log('Main -> Renderer: Toggle Recording');
+
+    if (stopRecordingRef.current) {
+      stopRecordingRef.current();
+      stopRecordingRef.current = null;
+      return
+    }
+
+    const canRecord = await window.electronAPI.invokeStartRecording();
+    if (!canRecord) return
+
+    try {
+      stopRecordingRef.current = await startScreenRecording({
+        handleData: (chunk) => window.electronAPI.invokeWriteRecording(chunk),
+        handleStop: () => {
+          stopRecordingRef.current = null;
+          setIsRecording(false);
+
+          window.electronAPI.invokeStopRecording();
+        },
+      });
+
+      setIsRecording(true);
+    } catch (error) {
+      window.electronAPI.invokeStopRecording();
+
+      setToastInfo({
+        title: 'Recording failed',
+        body: error.message,
+        button_label: null,
+        button_action: null,
+        button_data: null,
+      });
+    }
+  };
+
+  const handleEncodeImage = async (_event, { id, png, mimeType, quality }) => {
+    console.log('Main -> Renderer: Encode Image');
+
+    try {
+      const bytes = await encodeImage(png, mimeType, quality);
+
+      window.electronAPI.invokeEncodedImage(id, bytes, null);
+    } catch (error) {
+      window.electronAPI.invokeEncodedImage(id, null, error.message || 'Image encoding failed.');
+    }
+  };
+
+  const handleStartRegionCapture = () => {
+    console.log('Main -> Renderer: Start Region Capture');
+
+    setIsRegionCapture(true);
+  };
+
+  const handleRegionSelected = (region) => {
+    setIsRegionCapture(false);
+
+    // NOTE: Waits until the selector is gone from the screen
+    requestAnimationFrame(() => {
+      requestAnimationFrame(() => {
+        invokeMakeScreenshot(region);
+      });
+    });
+  };
+
+  const handleRegionCancel = () => {
+    setIsRegionCapture(false);
+  };
+
+  const handleLoadDesk = (_, content) => {
+    console.log('Main -> Renderer: Load Desk');
+
+    let desk
+
+    try {
+      desk = deserializeDesk(content);
+    } catch (error) {
+      setToastInfo({
+        title: 'Desk open failed',
+        body: error.message,
+        button_label: null,
+        button_action: null,
+        button_data: null,
+      });
+      return
+    }
+
+    handleReset();
+    showPage(desk.pages, desk.activePageIndex);
+  };
+
+  // Pages: the active page is stored back into "pages" only when leaving it
+  const collectPages = () => {
+    return pages.map((page, index) => {
+      if (index !== activePageIndex) return page
+
+      return { figures: allFigures, undo: undoStackFigures, redo: redoStackFigures }
+    })
+  }
+
+  const showPage = (nextPages, nextPageIndex) => {
+    const page = nextPages[nextPageIndex];
+
+    setActiveFigureInfo(null);
+    setFadeFigures([]);
+    setLaserFigure([]);
+    setEraserFigure([]);
+
+    setPages(nextPages);
+    setActivePageIndex(nextPageIndex);
+    setAllFigures(page.figures);
+    setUndoStackFigures(page.undo);
+    setRedoStackFigures(page.redo);
+  }
+
+  const handleGoToPage = (pageIndex) => {
+    if (pageIndex < 0 || pageIndex >= pages.length || pageIndex === activePageIndex) return
+
+    showPage(collectPages(), pageIndex);
+  };
+
+  const handleAddPage = () => {
+    const nextPages = collectPages();
+    nextPages.splice(activePageIndex + 1, 0, createEmptyPage());
+
+    showPage(nextPages, activePageIndex + 1);
+  };
+
+  const handleDuplicatePage = () => {
+    const nextId = Date.now();
+
+    const figures = allFigures
+      .filter(figure => !figure.erased)
+      .map((figure, index) => ({
+        ...figure,
+        id: nextId + index,
+        points: figure.points.map(point => [...point]), // Avoid mutation
+      }));
+
+    const nextPages = collectPages();
+    nextPages.splice(activePageIndex + 1, 0, { ...createEmptyPage(), figures });
+
+    showPage(nextPages, activePageIndex + 1);
+  };
+
+  const handleDeletePage = () => {
+    if (pages.length === 1) {
+      handleReset();
+      return
+    }
+
+    const nextPages = collectPages().filter((_page, index) => index !== activePageIndex);
+
+    showPage(nextPages, Math.min(activePageIndex, nextPages.length - 1));
+  };
+
   const invokeSetSettings = (settings) => {
     console.log('Renderer -> Main: Invoke Set Settings');
 
@@ -1232,7 +2482,19 @@ const Application = (settings) => {
       height: height,
     };
 
-    setAllFigures([...allFigures, textFigure]);
+    if (textEditorContainer.rotation) {
+      textFigure.rotation = textEditorContainer.rotation;
+    }
+
+    if (textEditorContainer.groupId) {
+      textFigure.groupId = textEditorContainer.groupId;
+    }
+
+    // NOTE: Edited text goes back to its place in the stack, a new one is put on top
+    const newAllFigures = [...allFigures];
+    newAllFigures.splice(textEditorContainer.figureIndex ?? allFigures.length, 0, textFigure);
+
+    setAllFigures(newAllFigures);
     setTextEditorContainer(null);
 
     setUndoStackFigures(prevUndoStack => [...prevUndoStack, { type: 'add', figures: [textFigure] }]);
@@ -1248,6 +2510,9 @@ const Application = (settings) => {
       rainbowColorDeg: pickedFigure.rainbowColorDeg,
       text: pickedFigure.text,
       scale: pickedFigure.scale,
+      rotation: pickedFigure.rotation,
+      groupId: pickedFigure.groupId,
+      figureIndex: allFigures.indexOf(pickedFigure),
     };
 
     setTextEditorContainer(newTextEditor);
@@ -1258,14 +2523,14 @@ const Application = (settings) => {
     setRedoStackFigures([]);
   }
 
-  const manipulation = (isDrawing || isActiveFigureMoving()) ? "manipulation_mode" : "";
+  const manipulation = (isDrawing || isActiveFigureMoving() || selectionArea) ? "manipulation_mode" : "";
 
   return (
-    <div id="root_wrapper" className={manipulation} onPointerMove={handleMousePosition} onContextMenu={handleContextMenu}>
+    <div id="root_wrapper" className={manipulation} onPointerMove={handleMousePosition} onContextMenu={handleContextMenu} onDragOver={handleDragOver} onDrop={handleDrop}>
 
       {
-        showDrawingBorder &&
-        <div id="zone_borders"></div>
+        (showDrawingBorder || isRecording) &&
+        <div id="zone_borders" className={isRecording ? 'recording' : ''}></div>
       }
 
       {
@@ -1281,6 +2546,11 @@ const Application = (settings) => {
         <div id="whiteboard"></div>
       }
 
+      {
+        showGrid &&
+        <div id="grid_overlay" className={gridStyle} style={{ '--grid-spacing': `${gridSpacing}px` }}></div>
+      }
+
       {
         rippleEffects &&
           <RippleEffect
@@ -1297,7 +2567,7 @@ const Application = (settings) => {
       }
 
       {
-        showCuteCursor &&
+        showCuteCursor && !isRegionCapture &&
           <CuteCursor
             mouseCoordinates={mouseCoordinates}
             activeColorIndex={activeColorIndex}
@@ -1314,6 +2584,8 @@ const Application = (settings) => {
         allEraserFigures={allEraserFigures}
         fadeOpacity={fadeOpacity}
         activeFigureInfo={activeFigureInfo}
+        selectionArea={selectionArea}
+        snapGuides={snapGuides}
         cursorType={cursorType}
         handleMouseDown={handleMouseDown}
         handleMouseMove={handleMouseMove}
@@ -1325,7 +2597,16 @@ const Application = (settings) => {
       />
 
       {
-        showToolbar &&
+        !isRecording &&
+          <UserGuides
+            guides={userGuides}
+            setGuides={setUserGuides}
+            showRulers={showDrawingBorder}
+          />
+      }
+
+      {
+        showToolbar && !isRecording && // NOTE: Toolbar is kept out of the recording
           <ToolBar
             position={toolbarPosition}
             setPosition={setToolbarPosition}
@@ -1334,13 +2615,38 @@ const Application = (settings) => {
             activeTool={activeTool}
             activeColorIndex={activeColorIndex}
             activeWidthIndex={activeWidthIndex}
+            activeFill={activeFill}
+            activeStrokeStyle={activeStrokeStyle}
+            activeCornerRadius={activeCornerRadius}
+            activeShadow={activeShadow}
+            shownMarkers={findShownMarkers()}
             handleCloseToolBar={handleCloseToolBar}
             handleChangeColor={handleChangeColor}
             handleChangeWidth={handleChangeWidth}
+            handleChangeFill={handleChangeFill}
+            handleChangeStrokeStyle={handleChangeStrokeStyle}
+            handleChangeCornerRadius={handleChangeCornerRadius}
+            handleChangeShadow={handleChangeShadow}
+            handleChangeMarker={handleChangeMarker}
             handleChangeTool={handleChangeTool}
+            showPages={showWhiteboard}
+            pagesCount={pages.length}
+            activePageIndex={activePageIndex}
+            handleGoToPage={handleGoToPage}
+            handleAddPage={handleAddPage}
+            handleDuplicatePage={handleDuplicatePage}
+            handleDeletePage={handleDeletePage}
             Icons={Icons}
           />
       }
+
+      {
+        isRegionCapture &&
+          <RegionSelector
+            handleRegionSelected={handleRegionSelected}
+            handleRegionCancel={handleRegionCancel}
+          />
+      }
     </div>
   );
 };
@@ -57,6 +57,8 @@ const CuteCursor = ({
         return <Icons.FaRegCircle {...iconProps} />;
       case "line":
         return <Icons.AiOutlineLine {...iconProps} />;
+      case "polyline":
+        return <Icons.FaDrawPolygon {...iconProps} />;
       case "text":
         return <Icons.FaFont {...iconProps} />;
       case "highlighter":
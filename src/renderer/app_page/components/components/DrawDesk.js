@@ -1,24 +1,20 @@
 import './DrawDesk.scss';
 
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { colorList } from '../constants.js'
 import { getMouseCoordinates } from '../utils/general.js';
+import { getFiguresBounds, getCommonGroupId } from '../utils/figureDetection.js';
 import {
+  drawFigure,
   drawPen,
   drawRainbowPen,
-  drawHighlighter,
-  drawRainbowHighlighter,
-  drawLine,
-  drawLineActive,
-  drawArrow,
-  drawArrowActive,
-  drawOval,
-  drawOvalActive,
-  drawRectangle,
-  drawRectangleActive,
   drawLaser,
   drawEraserTail,
-  drawText,
+  drawSelectionArea,
+  drawSnapGuides,
+  drawSelectionBounds,
+  loadImage,
+  isImageLoaded,
 } from './drawer/figures.js';
 
 const DrawDesk = ({
@@ -28,6 +24,8 @@ const DrawDesk = ({
   allEraserFigures,
   fadeOpacity,
   activeFigureInfo,
+  selectionArea,
+  snapGuides,
   cursorType,
   handleMouseDown,
   handleMouseMove,
@@ -44,6 +42,8 @@ const DrawDesk = ({
   const prevToolRef = useRef(null);
   const simulateKeyDown = useRef(false);
 
+  const [loadedImagesAt, setLoadedImagesAt] = useState(0);
+
   const dpr = window.devicePixelRatio || 1;
 
   useEffect(() => {
@@ -73,73 +73,52 @@ const DrawDesk = ({
     offCtx.scale(dpr, dpr);
   }, []);
 
+  // NOTE: Images of the loaded desk are decoded asynchronously, so redraw when they are ready
   useEffect(() => {
-    draw(allFigures, allFadeFigures, allLaserFigures, allEraserFigures, activeFigureInfo, fadeOpacity, offscreenCanvasRef.current);
-  }, [allFigures, allFadeFigures, allLaserFigures, allEraserFigures, activeFigureInfo, fadeOpacity]);
+    const pendingImages = allFigures.filter(figure => figure.type === 'image' && !isImageLoaded(figure.src));
 
-  const draw = (allFigures, allFadeFigures, allLaserFigures, allEraserFigures, activeFigureInfo, fadeOpacity, offscreenCanvas) => {
-    const ctx = canvasRef.current.getContext('2d');
-    ctx.clearRect(0, 0, canvasRef.current.width, canvasRef.current.height);
+    if (pendingImages.length === 0) return
 
-    allFigures.forEach((figure) => {
-      if (figure.type === 'pen') {
-        if (colorList[figure.colorIndex].name === 'color_rainbow') {
-          drawRainbowPen(ctx, offscreenCanvas, figure, updateRainbowColorDeg)
-        } else {
-          drawPen(ctx, figure)
-        }
-      }
+    Promise.allSettled(pendingImages.map(figure => loadImage(figure.src))).then(() => {
+      setLoadedImagesAt(Date.now());
+    });
+  }, [allFigures]);
 
-      if (figure.type === 'highlighter') {
-        if (colorList[figure.colorIndex].name === 'color_rainbow') {
-          drawRainbowHighlighter(ctx, offscreenCanvas, figure, updateRainbowColorDeg)
-        } else {
-          drawHighlighter(ctx, figure)
-        }
-      }
-
-      if (figure.type === 'arrow') {
-        drawArrow(ctx, figure, updateRainbowColorDeg)
+  useEffect(() => {
+    draw(allFigures, allFadeFigures, allLaserFigures, allEraserFigures, activeFigureInfo, selectionArea, snapGuides, fadeOpacity, offscreenCanvasRef.current);
+  }, [allFigures, allFadeFigures, allLaserFigures, allEraserFigures, activeFigureInfo, selectionArea, snapGuides, fadeOpacity, loadedImagesAt]);
 
-        if (activeFigureInfo && figure.id === activeFigureInfo.id) {
-          drawArrowActive(ctx, figure)
-        }
-      }
+  const draw = (allFigures, allFadeFigures, allLaserFigures, allEraserFigures, activeFigureInfo, selectionArea, snapGuides, fadeOpacity, offscreenCanvas) => {
+    const ctx = canvasRef.current.getContext('2d');
+    ctx.clearRect(0, 0, canvasRef.current.width, canvasRef.current.height);
 
-      if (figure.type === 'line') {
-        drawLine(ctx, figure, updateRainbowColorDeg)
+    const activeIds = activeFigureInfo ? activeFigureInfo.ids : [];
 
-        if (activeFigureInfo && figure.id === activeFigureInfo.id) {
-          drawLineActive(ctx, figure)
-        }
-      }
+    allFigures.forEach((figure) => {
+      // NOTE: Dots are shown only for a single active figure
+      const isActive = activeIds.length === 1 && figure.id === activeIds[0];
 
-      if (figure.type === 'rectangle') {
-        drawRectangle(ctx, figure, updateRainbowColorDeg)
+      drawFigure(ctx, offscreenCanvas, figure, updateRainbowColorDeg, isActive)
+    })
 
-        if (activeFigureInfo && figure.id === activeFigureInfo.id) {
-          drawRectangleActive(ctx, figure)
-        }
-      }
+    if (activeIds.length > 1) {
+      const activeFigures = allFigures.filter(figure => activeIds.includes(figure.id));
 
-      if (figure.type === 'oval') {
-        drawOval(ctx, figure, updateRainbowColorDeg)
+      if (activeFigures.length > 0) {
+        // NOTE: Only a single group can be resized
+        const isGroup = Boolean(getCommonGroupId(activeFigures));
 
-        if (activeFigureInfo && figure.id === activeFigureInfo.id) {
-          drawOvalActive(ctx, figure)
-        }
+        drawSelectionBounds(ctx, getFiguresBounds(activeFigures), isGroup)
       }
+    }
 
-      if (figure.type === 'text') {
-        let isActive = false;
-
-        if (activeFigureInfo && figure.id === activeFigureInfo.id) {
-          isActive = true;
-        }
+    if (selectionArea) {
+      drawSelectionArea(ctx, selectionArea)
+    }
 
-        drawText(ctx, figure, updateRainbowColorDeg, isActive)
-      }
-    })
+    if (snapGuides.length > 0) {
+      drawSnapGuides(ctx, snapGuides)
+    }
 
     allFadeFigures.forEach((figure) => {
       if (figure.type === 'fadepen') {
@@ -160,6 +139,14 @@ const DrawDesk = ({
     })
   };
 
+  const getModifierKeys = (event) => {
+    return {
+      shiftKey: event.shiftKey,
+      altKey: event.altKey,
+      ctrlOrMeta: event.ctrlKey || event.metaKey,
+    };
+  }
+
   const isPenEraser = (event) => {
     return (event.pointerType === 'pen' && event.button === 5) ||
            (event.pointerType === 'mouse' && event.button === 1);
@@ -182,7 +169,7 @@ const DrawDesk = ({
     event.currentTarget.setPointerCapture(event.pointerId);
 
     const coordinates = getMouseCoordinates(event)
-    handleMouseDown(coordinates);
+    handleMouseDown({ ...coordinates, ...getModifierKeys(event) });
   }
 
   const onPointerMove = (event) => {
@@ -199,7 +186,7 @@ const DrawDesk = ({
 
     const coordinates = getMouseCoordinates(event)
 
-    handleMouseMove(coordinates);
+    handleMouseMove({ ...coordinates, ...getModifierKeys(event) });
   }
 
   const onPointerUp = (event) => {
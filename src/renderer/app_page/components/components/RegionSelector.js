@@ -0,0 +1,110 @@
+import React, { useEffect, useState } from 'react';
+import './RegionSelector.scss';
+import { getMouseCoordinates } from '../utils/general.js';
+
+const normalizeRegion = (startPoint, endPoint) => {
+  const [startX, startY] = startPoint;
+  const [endX, endY] = endPoint;
+
+  return {
+    x: Math.min(startX, endX),
+    y: Math.min(startY, endY),
+    width: Math.abs(endX - startX),
+    height: Math.abs(endY - startY),
+  }
+}
+
+const RegionSelector = ({ handleRegionSelected, handleRegionCancel }) => {
+  const [mousePoint, setMousePoint] = useState(null);
+  const [startPoint, setStartPoint] = useState(null);
+  const [endPoint, setEndPoint] = useState(null);
+  const [isSelecting, setIsSelecting] = useState(false);
+
+  const region = startPoint && endPoint ? normalizeRegion(startPoint, endPoint) : null;
+  const hasRegion = region && region.width > 0 && region.height > 0;
+
+  const dpr = window.devicePixelRatio || 1;
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        handleRegionCancel();
+        return
+      }
+
+      if (event.key === 'Enter' && hasRegion && !isSelecting) {
+        event.preventDefault();
+        handleRegionSelected(region);
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown);
+
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [region, hasRegion, isSelecting]);
+
+  const onPointerDown = (event) => {
+    if (event.button !== 0) return;
+
+    event.currentTarget.setPointerCapture(event.pointerId);
+
+    const { x, y } = getMouseCoordinates(event);
+
+    setStartPoint([x, y]);
+    setEndPoint([x, y]);
+    setIsSelecting(true);
+  }
+
+  const onPointerMove = (event) => {
+    const { x, y } = getMouseCoordinates(event);
+
+    setMousePoint([x, y]);
+
+    if (isSelecting) {
+      setEndPoint([x, y]);
+    }
+  }
+
+  const onPointerUp = () => {
+    setIsSelecting(false);
+  }
+
+  return (
+    <div
+      id="region_selector"
+      className={hasRegion ? 'has-region' : ''}
+      onPointerDown={onPointerDown}
+      onPointerMove={onPointerMove}
+      onPointerUp={onPointerUp}
+    >
+      {
+        mousePoint && !isSelecting &&
+          <>
+            <div className="region-crosshair-x" style={{ top: mousePoint[1] }}></div>
+            <div className="region-crosshair-y" style={{ left: mousePoint[0] }}></div>
+          </>
+      }
+
+      {
+        hasRegion &&
+          <div
+            className="region-marquee"
+            style={{ left: region.x, top: region.y, width: region.width, height: region.height }}
+          >
+            <div className="region-size">
+              {Math.round(region.width * dpr)} × {Math.round(region.height * dpr)}
+            </div>
+          </div>
+      }
+
+      <div className="region-hint">
+        Drag to select a region. Press <kbd>Enter</kbd> to capture or <kbd>Esc</kbd> to cancel.
+      </div>
+    </div>
+  );
+};
+
+export default RegionSelector;
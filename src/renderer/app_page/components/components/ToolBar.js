@@ -1,6 +1,6 @@
 import React, { useEffect, useState, useCallback, useRef } from "react";
 import "./ToolBar.scss";
-import { brushList, shapeList, colorList, widthList } from "../constants.js";
+import { brushList, shapeList, colorList, widthList, fillList, strokeStyleList, cornerRadiusList, markerList } from "../constants.js";
 
 const STICKY_DISTANCE = 15;
 const ZONE_BORDER = 5; // Equals to "--border-size"
@@ -13,10 +13,27 @@ const ToolBar = ({
   activeTool,
   activeColorIndex,
   activeWidthIndex,
+  activeFill,
+  activeStrokeStyle,
+  activeCornerRadius,
+  activeShadow,
+  shownMarkers,
   handleCloseToolBar,
   handleChangeColor,
   handleChangeWidth,
+  handleChangeFill,
+  handleChangeStrokeStyle,
+  handleChangeCornerRadius,
+  handleChangeShadow,
+  handleChangeMarker,
   handleChangeTool,
+  showPages,
+  pagesCount,
+  activePageIndex,
+  handleGoToPage,
+  handleAddPage,
+  handleDuplicatePage,
+  handleDeletePage,
   Icons,
 }) => {
 
@@ -30,6 +47,7 @@ const ToolBar = ({
     rectangle: <Icons.FaRegSquare />,
     oval: <Icons.FaRegCircle />,
     line: <Icons.AiOutlineLine />,
+    polyline: <Icons.FaDrawPolygon />,
   };
 
   const [dragging, setDragging] = useState(false);
@@ -105,7 +123,7 @@ const ToolBar = ({
 
   useEffect(() => {
     setSlide("");
-  }, [activeTool, activeColorIndex, activeWidthIndex]);
+  }, [activeTool, activeColorIndex, activeWidthIndex, activeFill, activeStrokeStyle, activeCornerRadius, activeShadow, showPages]);
 
   const pickTool = (tool) => {
     handleChangeTool(tool);
@@ -122,6 +140,84 @@ const ToolBar = ({
     setSlide("")
   };
 
+  const onChangeFill = (fill) => {
+    handleChangeFill(fill);
+    setSlide("")
+  };
+
+  const onChangeStrokeStyle = (strokeStyle) => {
+    handleChangeStrokeStyle(strokeStyle);
+    setSlide("")
+  };
+
+  const onChangeCornerRadius = (cornerRadius) => {
+    handleChangeCornerRadius(cornerRadius);
+    setSlide("")
+  };
+
+  const onToggleShadow = () => {
+    handleChangeShadow(!activeShadow);
+    setSlide("")
+  };
+
+  // NOTE: Slide stays open, so the marker can be clicked through
+  const onSwitchMarker = (side) => {
+    const marker = shownMarkers[side];
+    const nextMarker = markerList[(markerList.indexOf(marker) + 1) % markerList.length];
+
+    handleChangeMarker(side, nextMarker);
+  };
+
+  const renderMarkerTitle = (marker) => {
+    switch (marker) {
+      case "triangle":
+        return "Triangle";
+      case "chevron":
+        return "Chevron";
+      case "dot":
+        return "Dot";
+      case "bar":
+        return "Bar";
+      default:
+        return "None";
+    }
+  };
+
+  const renderStrokeStyleTitle = (strokeStyle) => {
+    switch (strokeStyle) {
+      case "dashed":
+        return "Dashed Stroke";
+      case "dotted":
+        return "Dotted Stroke";
+      default:
+        return "Solid Stroke";
+    }
+  };
+
+  const renderCornerRadiusTitle = (index) => {
+    switch (index) {
+      case 0:
+        return "Sharp Corners";
+      case 1:
+        return "Rounded Corners";
+      default:
+        return "Extra Rounded Corners";
+    }
+  };
+
+  const renderFillTitle = (fill) => {
+    switch (fill) {
+      case "solid":
+        return "Solid Fill";
+      case "semi":
+        return "Semi-transparent Fill";
+      case "hatched":
+        return "Hatched Fill";
+      default:
+        return "No Fill";
+    }
+  };
+
   const renderFigureTitle = () => {
     switch (lastActiveFigure) {
       case "arrow":
@@ -132,6 +228,8 @@ const ToolBar = ({
         return "Oval";
       case "line":
         return "Line";
+      case "polyline":
+        return "Polyline";
       default:
         return "Shape";
     }
@@ -148,8 +246,9 @@ const ToolBar = ({
     }
   };
 
+  // NOTE: Markers are shown with any tool when an arrow or a line is selected
   const pickFigureOrSwitchView = () => {
-    if (shapeList.includes(activeTool)) {
+    if (shapeList.includes(activeTool) || shownMarkers) {
       setSlide("tool-slide");
     } else {
       pickTool(lastActiveFigure);
@@ -165,7 +264,7 @@ const ToolBar = ({
   };
 
   return (
-    <aside id="toolbar" ref={toolbarRef} className={`${slide}`} style={{ left: position.x, top: position.y }}>
+    <aside id="toolbar" ref={toolbarRef} className={`${slide} ${showPages ? "with-pages" : ""}`} style={{ left: position.x, top: position.y }}>
       <div className="toolbar__buttons">
         <button onClick={handleCloseToolBar} title="Close">
           <Icons.MdOutlineCancel size={16} />
@@ -219,6 +318,37 @@ const ToolBar = ({
                 <div className={`${widthList[activeWidthIndex].name}`} />
               </button>
             </li>
+            <li>
+              <button
+                className="toolbar__fill-button"
+                onClick={() => setSlide("fill-slide")}
+                title={`Change Fill (${renderFillTitle(activeFill)})`}
+                disabled={["laser", "eraser"].includes(activeTool)}
+              >
+                <div className={`fill_${activeFill}`} />
+              </button>
+            </li>
+            <li>
+              <button
+                className="toolbar__stroke-button"
+                onClick={() => setSlide("stroke-slide")}
+                title={`Change Stroke Style (${renderStrokeStyleTitle(activeStrokeStyle)})`}
+                disabled={["laser", "eraser"].includes(activeTool)}
+              >
+                <div className={`stroke_${activeStrokeStyle}`} />
+              </button>
+            </li>
+            {
+              showPages &&
+                <>
+                  <li className="cross-line"></li>
+                  <li className="toolbar__page-indicator">
+                    <button onClick={() => setSlide("page-slide")} title="Pages">
+                      {activePageIndex + 1}/{pagesCount}
+                    </button>
+                  </li>
+                </>
+            }
           </ul>
         </div>
 
@@ -259,6 +389,28 @@ const ToolBar = ({
                 <Icons.AiOutlineLine />
               </button>
             </li>
+            <li className={activeTool === "polyline" ? "active" : undefined}>
+              <button onClick={() => pickTool("polyline")} tabIndex={-1} title="Polyline (double click or Enter to finish)">
+                <Icons.FaDrawPolygon />
+              </button>
+            </li>
+            {
+              shownMarkers &&
+                <>
+                  <li className="cross-line"></li>
+                  {["start", "end"].map((side) => (
+                    <li key={side}>
+                      <button
+                        onClick={() => onSwitchMarker(side)}
+                        tabIndex={-1}
+                        title={`${side === "start" ? "Start" : "End"} Marker: ${renderMarkerTitle(shownMarkers[side])}`}
+                      >
+                        <Icons.LineMarkerIcon marker={shownMarkers[side]} side={side} />
+                      </button>
+                    </li>
+                  ))}
+                </>
+            }
           </ul>
         </div>
 
@@ -276,6 +428,98 @@ const ToolBar = ({
           </ul>
         </div>
 
+        <div className="side-view-body page-group">
+          <ul className="toolbar__items">
+            <li>
+              <button onClick={() => handleGoToPage(activePageIndex - 1)} disabled={activePageIndex === 0} tabIndex={-1} title="Previous Page (PageUp)">
+                <Icons.FaChevronLeft />
+              </button>
+            </li>
+            <li className="toolbar__page-indicator">
+              {activePageIndex + 1}/{pagesCount}
+            </li>
+            <li>
+              <button onClick={() => handleGoToPage(activePageIndex + 1)} disabled={activePageIndex === pagesCount - 1} tabIndex={-1} title="Next Page (PageDown)">
+                <Icons.FaChevronRight />
+              </button>
+            </li>
+            <li className="cross-line"></li>
+            <li>
+              <button onClick={handleAddPage} tabIndex={-1} title="New Page">
+                <Icons.FaPlus />
+              </button>
+            </li>
+            <li>
+              <button onClick={handleDuplicatePage} tabIndex={-1} title="Duplicate Page">
+                <Icons.FaRegClone />
+              </button>
+            </li>
+            <li>
+              <button onClick={handleDeletePage} tabIndex={-1} title="Delete Page">
+                <Icons.FaRegTrashAlt />
+              </button>
+            </li>
+          </ul>
+        </div>
+
+        <div className="side-view-body fill-group">
+          <ul className="toolbar__items">
+            {fillList.map((fill) => (
+              <li key={fill} className={activeFill === fill ? "active" : undefined}>
+                <button
+                  className="toolbar__fill-button"
+                  onClick={() => onChangeFill(fill)}
+                  tabIndex={-1}
+                  title={renderFillTitle(fill)}
+                >
+                  <div className={`fill_${fill}`} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="side-view-body stroke-group">
+          <ul className="toolbar__items">
+            {strokeStyleList.map((strokeStyle) => (
+              <li key={strokeStyle} className={activeStrokeStyle === strokeStyle ? "active" : undefined}>
+                <button
+                  className="toolbar__stroke-button"
+                  onClick={() => onChangeStrokeStyle(strokeStyle)}
+                  tabIndex={-1}
+                  title={renderStrokeStyleTitle(strokeStyle)}
+                >
+                  <div className={`stroke_${strokeStyle}`} />
+                </button>
+              </li>
+            ))}
+            <li className="cross-line"></li>
+            {cornerRadiusList.map((cornerRadius, index) => (
+              <li key={cornerRadius} className={activeCornerRadius === cornerRadius ? "active" : undefined}>
+                <button
+                  className="toolbar__corner-button"
+                  onClick={() => onChangeCornerRadius(cornerRadius)}
+                  tabIndex={-1}
+                  title={renderCornerRadiusTitle(index)}
+                >
+                  <div className={`corner_${index}`} />
+                </button>
+              </li>
+            ))}
+            <li className="cross-line"></li>
+            <li className={activeShadow ? "active" : undefined}>
+              <button
+                className="toolbar__shadow-button"
+                onClick={onToggleShadow}
+                tabIndex={-1}
+                title={`Arrow Shadow (${activeShadow ? "On" : "Off"})`}
+              >
+                <Icons.FaArrowRight />
+              </button>
+            </li>
+          </ul>
+        </div>
+
         <div className="side-view-body width-group">
           <ul className="toolbar__items">
             {widthList.map((width, index) => (
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import './UserGuides.scss';
+import { getMouseCoordinates } from '../utils/general.js';
+
+const edgeSize = 10; // Guide dropped this close to the screen edge is removed
+
+const rulers = [
+  { side: 'top',    orientation: 'horizontal' },
+  { side: 'bottom', orientation: 'horizontal' },
+  { side: 'left',   orientation: 'vertical' },
+  { side: 'right',  orientation: 'vertical' },
+];
+
+// NOTE: Guide is { id, orientation: 'horizontal' | 'vertical', position }.
+//       Guides are pulled out of the screen edges and dragged back there to be removed
+const UserGuides = ({ guides, setGuides, showRulers }) => {
+  const [draggingGuide, setDraggingGuide] = useState(null);
+
+  const getPosition = (orientation, event) => {
+    const { x, y } = getMouseCoordinates(event);
+
+    return orientation === 'horizontal' ? y : x
+  }
+
+  const isNearEdge = ({ orientation, position }) => {
+    const size = orientation === 'horizontal' ? window.innerHeight : window.innerWidth;
+
+    return position < edgeSize || position > size - edgeSize
+  }
+
+  const onPointerDown = (event, guide) => {
+    if (event.button !== 0) return;
+
+    event.preventDefault();
+    event.currentTarget.setPointerCapture(event.pointerId);
+
+    setDraggingGuide({ id: Date.now(), ...guide, position: getPosition(guide.orientation, event) });
+  }
+
+  const onPointerMove = (event) => {
+    if (!draggingGuide) return;
+
+    setDraggingGuide({ ...draggingGuide, position: getPosition(draggingGuide.orientation, event) });
+  }
+
+  const onPointerUp = (event) => {
+    if (!draggingGuide) return;
+
+    if (event.currentTarget.hasPointerCapture(event.pointerId)) {
+      event.currentTarget.releasePointerCapture(event.pointerId);
+    }
+
+    const otherGuides = guides.filter(guide => guide.id !== draggingGuide.id);
+
+    if (isNearEdge(draggingGuide)) {
+      setGuides(otherGuides);
+    } else {
+      setGuides([...otherGuides, draggingGuide]);
+    }
+
+    setDraggingGuide(null);
+  }
+
+  const pointerHandlers = (guide) => ({
+    onPointerDown: (event) => onPointerDown(event, guide),
+    onPointerMove,
+    onPointerUp,
+    onPointerCancel: onPointerUp,
+  });
+
+  const visibleGuides = guides.map(guide => (draggingGuide && guide.id === draggingGuide.id) ? draggingGuide : guide);
+
+  if (draggingGuide && !guides.some(guide => guide.id === draggingGuide.id)) {
+    visibleGuides.push(draggingGuide);
+  }
+
+  return (
+    <div id="user_guides">
+      {
+        showRulers && rulers.map(({ side, orientation }) => (
+          <div
+            key={side}
+            className={`guide-ruler ${side} ${orientation}`}
+            {...pointerHandlers({ orientation })}
+          ></div>
+        ))
+      }
+
+      {
+        visibleGuides.map(guide => (
+          <div
+            key={guide.id}
+            className={`user-guide ${guide.orientation}`}
+            style={guide.orientation === 'horizontal' ? { top: guide.position } : { left: guide.position }}
+            {...pointerHandlers(guide)}
+          ></div>
+        ))
+      }
+    </div>
+  );
+};
+
+export default UserGuides;
@@ -3,7 +3,12 @@ import {
   getLazyPoints,
   distanceBetweenPoints,
   calcPointsArrow,
+  getBendHandlePoint,
+  getBendControlPoint,
+  getFigureMarkers,
+  getEndDirections,
 } from '../../utils/general.js';
+import { getFigureCenter, getFigureBounds, getRotateHandlePoint, isFigureFilled } from '../../utils/figureDetection.js';
 import {
   colorList,
   widthList,
@@ -13,9 +18,14 @@ import {
   eraserTailColor,
   highlighterAlpha,
   eraserAlpha,
+  rotatableList,
+  rotateHandleOffset,
+  semiFillAlpha,
+  hatchSpacing,
+  defaultCornerRadius,
 } from '../../constants.js'
 
-const hslColor = (degree) => {
+export const hslColor = (degree) => {
   return `hsl(${degree % 360}, 70%, 60%)`
 }
 
@@ -23,6 +33,21 @@ function fadeAlpha(opacity) {
   return Math.round(opacity * 255).toString(16).padStart(2, '0');
 }
 
+// NOTE: Smaller than the other dots, so it is not confused with the ends of the figure
+const drawBendDot = (ctx, point) => {
+  const [x, y] = point;
+
+  ctx.beginPath();
+  ctx.arc(x, y, 6, 0, Math.PI*2, true);
+  ctx.fillStyle = '#DDD';
+  ctx.fill();
+
+  ctx.beginPath();
+  ctx.arc(x, y, 5, 0, Math.PI*2, true);
+  ctx.fillStyle = '#6CC3E2';
+  ctx.fill();
+}
+
 const drawDot = (ctx, point) => {
   const [x, y] = point;
 
@@ -131,6 +156,72 @@ const detectColorAndFontSize = (ctx, figure, updateRainbowColorDeg) => {
   return [color, fontSize, font_y_offset_compensation]
 }
 
+// NOTE: Hatching is made of diagonal lines clipped by the path
+const fillFigurePath = (ctx, path, fill, color, { minX, minY, maxX, maxY }) => {
+  if (!fill || fill === 'none') return
+
+  ctx.save();
+  ctx.fillStyle = color;
+  ctx.strokeStyle = color;
+
+  if (fill === 'solid') {
+    ctx.fill(path);
+  }
+
+  if (fill === 'semi') {
+    ctx.globalAlpha *= semiFillAlpha;
+    ctx.fill(path);
+  }
+
+  if (fill === 'hatched') {
+    const height = maxY - minY;
+    const size = (maxX - minX) + height;
+
+    ctx.clip(path);
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+
+    for (let offset = 0; offset <= size; offset += hatchSpacing) {
+      ctx.moveTo(minX + offset, minY);
+      ctx.lineTo(minX + offset - height, maxY);
+    }
+
+    ctx.stroke();
+  }
+
+  ctx.restore();
+}
+
+// NOTE: Closed stroke is filled along its centerline
+const drawStrokeFill = (ctx, figure) => {
+  const { points, colorIndex, rainbowColorDeg, erased } = figure
+
+  let color = colorList[colorIndex].color
+
+  if (colorList[colorIndex].name === 'color_rainbow') {
+    color = hslColor(rainbowColorDeg)
+  }
+
+  if (erased) {
+    color = erasedFigureColor + fadeAlpha(eraserAlpha);
+  }
+
+  const path = new Path2D();
+  path.moveTo(...points[0]);
+  points.slice(1).forEach(point => path.lineTo(...point));
+  path.closePath();
+
+  ctx.save();
+
+  if (figure.type === 'highlighter') {
+    ctx.globalAlpha = highlighterAlpha;
+  }
+
+  fillFigurePath(ctx, path, figure.fill, color, getFigureBounds(figure));
+
+  ctx.restore();
+}
+
 export const getCursorColor = (colorIndex, rainbowColorDeg) => {
   const colorInfo = colorList[colorIndex]
 
@@ -262,21 +353,113 @@ export const drawRainbowHighlighter = (ctx, offscreenCanvas, figure, updateRainb
   ctx.restore();
 }
 
+// NOTE: Dashes are measured in the figure width, so the active outline follows them too
+export const strokeDashPattern = (strokeStyle, width) => {
+  switch (strokeStyle) {
+    case 'dashed':
+      return [width * 3, width * 3]
+    case 'dotted':
+      return [0, width * 2.5] // Zero length dashes with round caps are dots
+    default:
+      return []
+  }
+}
+
+// NOTE: Rectangles saved before the radius became adjustable are sharp when a side is up to 20px
+export const rectangleCornerRadius = (cornerRadius, length, height) => {
+  if (cornerRadius === undefined) {
+    return length > 20 && height > 20 ? defaultCornerRadius : 0
+  }
+
+  return Math.max(0, Math.min(cornerRadius, length / 2, height / 2))
+}
+
+// NOTE: Arrows saved before the shadow became optional have it
+export const hasArrowShadow = (figure) => {
+  return figure.shadow !== false
+}
+
+// NOTE: Shape of the marker at the end of the figure, "direction" points out of the figure.
+//       Shape is { type: 'polygon' | 'polyline' | 'circle', points, radius }
+export const getMarkerShape = (marker, point, direction, widthIndex) => {
+  const size = widthList[widthIndex].marker_size
+  const width = widthList[widthIndex].figure_size
+
+  const [x, y] = point;
+  const [dirX, dirY] = direction;
+
+  const at = (along, across) => [
+    x + along * dirX - across * dirY,
+    y + along * dirY + across * dirX
+  ];
+
+  switch (marker) {
+    case 'triangle':
+      // NOTE: Tip is moved out to cover the round cap of the line
+      return { type: 'polygon', points: [at(width, 0), at(width - size, size * 0.65), at(width - size, -size * 0.65)] }
+    case 'chevron':
+      return { type: 'polyline', points: [at(-size, size * 0.65), at(0, 0), at(-size, -size * 0.65)] }
+    case 'dot':
+      return { type: 'circle', points: [point], radius: Math.max(size / 3, width) }
+    case 'bar':
+      return { type: 'polyline', points: [at(0, size * 0.65), at(0, -size * 0.65)] }
+    default:
+      return null
+  }
+}
+
+// NOTE: Built-in head of the arrow is skipped, it is a part of the arrow body
+const drawMarkers = (ctx, figure, color) => {
+  const { points, widthIndex } = figure
+  const markers = getFigureMarkers(figure)
+  const directions = getEndDirections(points)
+
+  const shapes = [
+    getMarkerShape(markers.start, points[0], directions.start, widthIndex),
+    figure.type === 'arrow' && markers.end === 'triangle' ? null : getMarkerShape(markers.end, points[1], directions.end, widthIndex),
+  ]
+
+  ctx.fillStyle = color;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = widthList[widthIndex].figure_size;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  shapes.filter(Boolean).forEach((shape) => {
+    ctx.beginPath();
+
+    if (shape.type === 'circle') {
+      ctx.arc(...shape.points[0], shape.radius, 0, Math.PI * 2);
+      ctx.fill();
+      return
+    }
+
+    ctx.moveTo(...shape.points[0]);
+    shape.points.slice(1).forEach(point => ctx.lineTo(...point));
+
+    if (shape.type === 'polygon') {
+      ctx.closePath();
+      ctx.fill();
+    } else {
+      ctx.stroke();
+    }
+  });
+}
+
 export const drawArrow = (ctx, figure, updateRainbowColorDeg) => {
   const { points, widthIndex } = figure;
-  const { figurePoints, tailPoints } = calcPointsArrow(points, widthIndex);
+  const withHead = getFigureMarkers(figure).end === 'triangle'
+  const { figurePoints, tailPoints } = calcPointsArrow(points, widthIndex, { withHead });
   const [color, _width] = detectColorAndWidth(ctx, figure, updateRainbowColorDeg)
 
-  let shadowColor = '#222';
-  let shadowBlur = 4;
-  let shadowOffsetX = 1;
-  let shadowOffsetY = 2;
-
   ctx.fillStyle = color;
-  ctx.shadowColor = shadowColor;
-  ctx.shadowBlur = shadowBlur;
-  ctx.shadowOffsetX = shadowOffsetX;
-  ctx.shadowOffsetY = shadowOffsetY;
+
+  if (hasArrowShadow(figure)) {
+    ctx.shadowColor = '#222';
+    ctx.shadowBlur = 4;
+    ctx.shadowOffsetX = 1;
+    ctx.shadowOffsetY = 2;
+  }
 
   ctx.beginPath();
 
@@ -294,6 +477,8 @@ export const drawArrow = (ctx, figure, updateRainbowColorDeg) => {
   ctx.closePath();
   ctx.fill();
 
+  drawMarkers(ctx, figure, color)
+
   ctx.shadowBlur = 0;
   ctx.shadowColor = 'transparent'; // Reset shadows
 }
@@ -303,85 +488,154 @@ export const drawArrowActive = (ctx, figure) => {
 }
 
 export const drawLine = (ctx, figure, updateRainbowColorDeg) => {
-  const { points: [pointA, pointB] } = figure
+  const { points, strokeStyle } = figure
   const [color, width] = detectColorAndWidth(ctx, figure, updateRainbowColorDeg)
 
-  drawLineSkeleton(ctx, pointA, pointB, color, width)
+  drawLineSkeleton(ctx, points, color, width, strokeDashPattern(strokeStyle, width))
+  drawMarkers(ctx, figure, color)
 }
 
 export const drawLineActive = (ctx, figure) => {
-  const [pointA, pointB] = figure.points
+  const { points, strokeStyle, widthIndex } = figure
   const [color, width] = activeColorAndWidth(figure)
+  const dash = strokeDashPattern(strokeStyle, widthList[widthIndex].figure_size)
 
-  drawLineSkeleton(ctx, pointA, pointB, color, width)
+  drawLineSkeleton(ctx, points, color, width, dash)
 
   drawDotsForFigure(ctx, figure)
 }
 
-const drawLineSkeleton = (ctx, pointA, pointB, color, width) => {
-  const [startX, startY] = pointA;
-  const [endX, endY] = pointB;
+// NOTE: Bent line is a quadratic curve (see "getBendControlPoint")
+const drawLineSkeleton = (ctx, points, color, width, dash = []) => {
+  const [startX, startY] = points[0];
+  const [endX, endY] = points[1];
 
   ctx.strokeStyle = color;
   ctx.lineWidth = width;
   ctx.lineCap = 'round';
+  ctx.setLineDash(dash);
 
   ctx.beginPath();
   ctx.moveTo(startX, startY);
-  ctx.lineTo(endX, endY);
+
+  if (points.length > 2) {
+    ctx.quadraticCurveTo(...getBendControlPoint(points), endX, endY);
+  } else {
+    ctx.lineTo(endX, endY);
+  }
+
   ctx.stroke();
+
+  ctx.setLineDash([]);
 };
 
+export const drawPolyline = (ctx, figure, updateRainbowColorDeg) => {
+  const { points, closed, strokeStyle } = figure
+  const [color, width] = detectColorAndWidth(ctx, figure, updateRainbowColorDeg)
+  const fill = isFigureFilled(figure) ? figure.fill : 'none'
+
+  drawPolylineSkeleton(ctx, points, closed, color, width, strokeDashPattern(strokeStyle, width), fill)
+}
+
+export const drawPolylineActive = (ctx, figure) => {
+  const { points, closed, strokeStyle, widthIndex } = figure
+  const [color, width] = activeColorAndWidth(figure)
+  const dash = strokeDashPattern(strokeStyle, widthList[widthIndex].figure_size)
+
+  drawPolylineSkeleton(ctx, points, closed, color, width, dash)
+
+  drawDotsForFigure(ctx, figure)
+}
+
+const drawPolylineSkeleton = (ctx, points, closed, color, width, dash = [], fill = 'none') => {
+  ctx.strokeStyle = color;
+  ctx.lineWidth = width;
+  ctx.lineJoin = 'round';
+  ctx.lineCap = 'round';
+
+  const path = new Path2D();
+  path.moveTo(...points[0]);
+  points.slice(1).forEach(point => path.lineTo(...point));
+
+  if (closed) {
+    path.closePath();
+  }
+
+  fillFigurePath(ctx, path, fill, color, {
+    minX: Math.min(...points.map(([x]) => x)),
+    minY: Math.min(...points.map(([, y]) => y)),
+    maxX: Math.max(...points.map(([x]) => x)),
+    maxY: Math.max(...points.map(([, y]) => y)),
+  });
+
+  ctx.setLineDash(dash);
+  ctx.stroke(path);
+  ctx.setLineDash([]);
+}
+
 export const drawOval = (ctx, figure, updateRainbowColorDeg) => {
-  const { points: [pointA, pointB] } = figure
+  const { points: [pointA, pointB], fill, strokeStyle } = figure
   const [color, width] = detectColorAndWidth(ctx, figure, updateRainbowColorDeg)
 
-  drawOvalSkeleton(ctx, pointA, pointB, color, width)
+  drawOvalSkeleton(ctx, pointA, pointB, color, width, strokeDashPattern(strokeStyle, width), fill)
 }
 
 export const drawOvalActive = (ctx, figure) => {
-  const [pointA, pointB] = figure.points
+  const { points: [pointA, pointB], strokeStyle, widthIndex } = figure
   const [color, width] = activeColorAndWidth(figure)
+  const dash = strokeDashPattern(strokeStyle, widthList[widthIndex].figure_size)
 
-  drawOvalSkeleton(ctx, pointA, pointB, color, width)
+  drawOvalSkeleton(ctx, pointA, pointB, color, width, dash)
 
   drawDotsForFigure(ctx, figure)
 }
 
-const drawOvalSkeleton = (ctx, pointA, pointB, color, width) => {
+const drawOvalSkeleton = (ctx, pointA, pointB, color, width, dash = [], fill = 'none') => {
   const [startX, startY] = pointA;
   const [endX, endY] = pointB;
 
   ctx.strokeStyle = color;
   ctx.lineWidth = width;
   ctx.lineJoin = 'round';
+  ctx.lineCap = 'round';
 
   let radiusX = Math.abs(endX - startX) / 2;
   let radiusY = Math.abs(endY - startY) / 2;
   let centerX = Math.min(startX, endX) + radiusX;
   let centerY = Math.min(startY, endY) + radiusY;
 
-  ctx.beginPath();
-  ctx.ellipse(centerX, centerY, radiusX, radiusY, 0, 0, Math.PI * 2);
-  ctx.stroke();
+  const path = new Path2D();
+  path.ellipse(centerX, centerY, radiusX, radiusY, 0, 0, Math.PI * 2);
+
+  fillFigurePath(ctx, path, fill, color, {
+    minX: centerX - radiusX,
+    minY: centerY - radiusY,
+    maxX: centerX + radiusX,
+    maxY: centerY + radiusY,
+  });
+
+  ctx.setLineDash(dash);
+  ctx.stroke(path);
+  ctx.setLineDash([]);
 }
 
 export const drawRectangle = (ctx, figure, updateRainbowColorDeg) => {
-  const { points: [pointA, pointB] } = figure
+  const { points: [pointA, pointB], fill, strokeStyle, cornerRadius } = figure
   const [color, width] = detectColorAndWidth(ctx, figure, updateRainbowColorDeg)
 
-  drawRectangleSkeleton(ctx, pointA, pointB, color, width)
+  drawRectangleSkeleton(ctx, pointA, pointB, color, width, cornerRadius, strokeDashPattern(strokeStyle, width), fill)
 }
 
 export const drawRectangleActive = (ctx, figure) => {
-  const [pointA, pointB] = figure.points
+  const { points: [pointA, pointB], strokeStyle, cornerRadius, widthIndex } = figure
   const [color, width] = activeColorAndWidth(figure)
+  const dash = strokeDashPattern(strokeStyle, widthList[widthIndex].figure_size)
 
-  drawRectangleSkeleton(ctx, pointA, pointB, color, width)
+  drawRectangleSkeleton(ctx, pointA, pointB, color, width, cornerRadius, dash)
   drawDotsForFigure(ctx, figure)
 }
 
-const drawRectangleSkeleton = (ctx, pointA, pointB, color, width) => {
+const drawRectangleSkeleton = (ctx, pointA, pointB, color, width, cornerRadius, dash = [], fill = 'none') => {
   const [startX, startY] = pointA;
   const [endX, endY] = pointB;
 
@@ -395,21 +649,25 @@ const drawRectangleSkeleton = (ctx, pointA, pointB, color, width) => {
   let x = Math.min(startX, endX);
   let y = Math.min(startY, endY);
 
-  let radius = 0;
-  if (length > 20 && height > 20) radius = 10; // TODO: Adjust to be smooth
-
-  ctx.beginPath();
-  ctx.moveTo(x + radius, y);
-  ctx.lineTo(x + length - radius, y);
-  ctx.arc(x + length - radius, y + radius, radius, Math.PI * 1.5, Math.PI * 2);
-  ctx.lineTo(x + length, y + height - radius);
-  ctx.arc(x + length - radius, y + height - radius, radius, 0, Math.PI * 0.5);
-  ctx.lineTo(x + radius, y + height);
-  ctx.arc(x + radius, y + height - radius, radius, Math.PI * 0.5, Math.PI);
-  ctx.lineTo(x, y + radius);
-  ctx.arc(x + radius, y + radius, radius, Math.PI, Math.PI * 1.5);
-  ctx.closePath();
-  ctx.stroke();
+  let radius = rectangleCornerRadius(cornerRadius, length, height);
+
+  const path = new Path2D();
+  path.moveTo(x + radius, y);
+  path.lineTo(x + length - radius, y);
+  path.arc(x + length - radius, y + radius, radius, Math.PI * 1.5, Math.PI * 2);
+  path.lineTo(x + length, y + height - radius);
+  path.arc(x + length - radius, y + height - radius, radius, 0, Math.PI * 0.5);
+  path.lineTo(x + radius, y + height);
+  path.arc(x + radius, y + height - radius, radius, Math.PI * 0.5, Math.PI);
+  path.lineTo(x, y + radius);
+  path.arc(x + radius, y + radius, radius, Math.PI, Math.PI * 1.5);
+  path.closePath();
+
+  fillFigurePath(ctx, path, fill, color, { minX: x, minY: y, maxX: x + length, maxY: y + height });
+
+  ctx.setLineDash(dash);
+  ctx.stroke(path);
+  ctx.setLineDash([]);
 }
 
 export const drawLaser = (ctx, figure) => {
@@ -491,6 +749,180 @@ export const drawText = (ctx, figure, updateRainbowColorDeg, isActive) => {
   }
 }
 
+// NOTE: Images are shared by "src", so copies of the same image are decoded once
+const imageCache = new Map();
+
+export const loadImage = (src) => {
+  if (!imageCache.has(src)) {
+    const image = new Image();
+
+    const loading = new Promise((resolve, reject) => {
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error('Failed to load the image'));
+    });
+
+    image.src = src;
+    imageCache.set(src, { image, loading });
+  }
+
+  return imageCache.get(src).loading
+}
+
+export const isImageLoaded = (src) => {
+  const cached = imageCache.get(src);
+
+  return Boolean(cached && cached.image.complete && cached.image.naturalWidth > 0)
+}
+
+export const drawImage = (ctx, figure) => {
+  const { points: [[startX, startY], [endX, endY]], src, erased } = figure
+
+  if (!isImageLoaded(src)) return
+
+  ctx.save();
+
+  if (erased) {
+    ctx.globalAlpha = eraserAlpha;
+  }
+
+  ctx.drawImage(
+    imageCache.get(src).image,
+    Math.min(startX, endX),
+    Math.min(startY, endY),
+    Math.abs(endX - startX),
+    Math.abs(endY - startY),
+  );
+
+  ctx.restore();
+}
+
+export const drawImageActive = (ctx, figure) => {
+  const [[startX, startY], [endX, endY]] = figure.points
+
+  drawSelectionBox(ctx, startX, startY, endX, endY)
+  drawDotsForFigure(ctx, figure)
+}
+
+const drawRotateHandle = (ctx, figure) => {
+  const [handleX, handleY] = getRotateHandlePoint(figure);
+
+  ctx.strokeStyle = '#6CC3E2';
+  ctx.lineWidth = 1;
+
+  ctx.beginPath();
+  ctx.moveTo(handleX, handleY);
+  ctx.lineTo(handleX, handleY + rotateHandleOffset);
+  ctx.stroke();
+
+  drawDot(ctx, [handleX, handleY])
+}
+
+// NOTE: Rotated figure is drawn in its own space (rotated around the center)
+export const drawFigure = (ctx, offscreenCanvas, figure, updateRainbowColorDeg, isActive) => {
+  const isRotated = Boolean(figure.rotation);
+
+  if (isRotated) {
+    const [centerX, centerY] = getFigureCenter(figure);
+
+    ctx.save();
+    ctx.translate(centerX, centerY);
+    ctx.rotate(figure.rotation);
+    ctx.translate(-centerX, -centerY);
+  }
+
+  drawFigureSkeleton(ctx, offscreenCanvas, figure, updateRainbowColorDeg, isActive)
+
+  if (isActive && rotatableList.includes(figure.type)) {
+    drawRotateHandle(ctx, figure)
+  }
+
+  if (isRotated) {
+    ctx.restore();
+  }
+}
+
+const drawFigureSkeleton = (ctx, offscreenCanvas, figure, updateRainbowColorDeg, isActive) => {
+  if (['pen', 'highlighter'].includes(figure.type) && isFigureFilled(figure)) {
+    drawStrokeFill(ctx, figure)
+  }
+
+  if (figure.type === 'pen') {
+    if (colorList[figure.colorIndex].name === 'color_rainbow') {
+      drawRainbowPen(ctx, offscreenCanvas, figure, updateRainbowColorDeg)
+    } else {
+      drawPen(ctx, figure)
+    }
+
+    if (isActive) {
+      drawSelectionBounds(ctx, getFigureBounds(figure), true)
+    }
+  }
+
+  if (figure.type === 'highlighter') {
+    if (colorList[figure.colorIndex].name === 'color_rainbow') {
+      drawRainbowHighlighter(ctx, offscreenCanvas, figure, updateRainbowColorDeg)
+    } else {
+      drawHighlighter(ctx, figure)
+    }
+
+    if (isActive) {
+      drawSelectionBounds(ctx, getFigureBounds(figure), true)
+    }
+  }
+
+  if (figure.type === 'arrow') {
+    drawArrow(ctx, figure, updateRainbowColorDeg)
+
+    if (isActive) {
+      drawArrowActive(ctx, figure)
+    }
+  }
+
+  if (figure.type === 'line') {
+    drawLine(ctx, figure, updateRainbowColorDeg)
+
+    if (isActive) {
+      drawLineActive(ctx, figure)
+    }
+  }
+
+  if (figure.type === 'polyline') {
+    drawPolyline(ctx, figure, updateRainbowColorDeg)
+
+    if (isActive) {
+      drawPolylineActive(ctx, figure)
+    }
+  }
+
+  if (figure.type === 'rectangle') {
+    drawRectangle(ctx, figure, updateRainbowColorDeg)
+
+    if (isActive) {
+      drawRectangleActive(ctx, figure)
+    }
+  }
+
+  if (figure.type === 'oval') {
+    drawOval(ctx, figure, updateRainbowColorDeg)
+
+    if (isActive) {
+      drawOvalActive(ctx, figure)
+    }
+  }
+
+  if (figure.type === 'text') {
+    drawText(ctx, figure, updateRainbowColorDeg, isActive)
+  }
+
+  if (figure.type === 'image') {
+    drawImage(ctx, figure)
+
+    if (isActive) {
+      drawImageActive(ctx, figure)
+    }
+  }
+}
+
 const drawTextSkeleton = (ctx, [startX, startY], text, color, fontSize, font_y_offset_compensation, scale) => {
   ctx.save();
   ctx.translate(startX, startY);
@@ -512,6 +944,70 @@ const drawTextSkeleton = (ctx, [startX, startY], text, color, fontSize, font_y_o
   ctx.restore();
 }
 
+// NOTE: Selection area is { type: 'marquee' | 'lasso', points }
+export const drawSelectionArea = (ctx, selectionArea) => {
+  const { type, points } = selectionArea
+
+  if (points.length < 2) return
+
+  ctx.save();
+
+  ctx.strokeStyle = '#6CC3E2';
+  ctx.fillStyle = '#6CC3E21A';
+  ctx.lineWidth = 1;
+  ctx.setLineDash([4, 4]);
+
+  ctx.beginPath();
+
+  if (type === 'marquee') {
+    const [[startX, startY], [endX, endY]] = points
+
+    ctx.rect(startX, startY, endX - startX, endY - startY);
+  } else {
+    ctx.moveTo(...points[0]);
+    points.slice(1).forEach(point => ctx.lineTo(...point));
+    ctx.closePath();
+  }
+
+  ctx.fill();
+  ctx.stroke();
+
+  ctx.restore();
+}
+
+// NOTE: Guide is a line between two points
+export const drawSnapGuides = (ctx, guides) => {
+  ctx.save();
+
+  ctx.strokeStyle = '#FF4F8B';
+  ctx.lineWidth = 1;
+
+  guides.forEach(([pointA, pointB]) => {
+    ctx.beginPath();
+    ctx.moveTo(...pointA);
+    ctx.lineTo(...pointB);
+    ctx.stroke();
+  });
+
+  ctx.restore();
+}
+
+export const drawSelectionBounds = (ctx, { minX, minY, maxX, maxY }, withDots = false) => {
+  const startX = minX - dotMargin
+  const startY = minY - dotMargin
+  const endX = maxX + dotMargin
+  const endY = maxY + dotMargin
+
+  drawSelectionBox(ctx, startX, startY, endX, endY)
+
+  if (withDots) {
+    drawDot(ctx, [startX, startY])
+    drawDot(ctx, [endX,   endY])
+    drawDot(ctx, [startX, endY])
+    drawDot(ctx, [endX,   startY])
+  }
+}
+
 const drawSelectionBox = (ctx, startX, startY, endX, endY) => {
   ctx.strokeStyle = "#6CC3E2";
   ctx.lineWidth = 1;
@@ -519,12 +1015,21 @@ const drawSelectionBox = (ctx, startX, startY, endX, endY) => {
 }
 
 const drawDotsForFigure = (ctx, figure) => {
+  if (figure.type === 'polyline') {
+    figure.points.forEach(point => drawDot(ctx, point))
+    return
+  }
+
   const [pointA, pointB] = figure.points
 
   drawDot(ctx, pointA)
   drawDot(ctx, pointB)
 
-  if (['rectangle', 'oval'].includes(figure.type)) {
+  if (['line', 'arrow'].includes(figure.type)) {
+    drawBendDot(ctx, getBendHandlePoint(figure.points))
+  }
+
+  if (['rectangle', 'oval', 'image'].includes(figure.type)) {
     const [startX, startY] = pointA;
     const [endX, endY] = pointB;
 
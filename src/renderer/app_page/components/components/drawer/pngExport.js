@@ -0,0 +1,62 @@
+import { drawFigure } from './figures.js';
+
+// Mirrors "#whiteboard" from Application.scss
+const whiteboardScale = 0.8;
+const whiteboardColor = '#f5faff';
+const whiteboardDotColor = '#9d9d9d';
+const whiteboardDotRadius = 0.8;
+const whiteboardDotStep = 16;
+
+const createCanvas = (width, height, dpr) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.floor(width * dpr);
+  canvas.height = Math.floor(height * dpr);
+
+  canvas.getContext('2d').scale(dpr, dpr);
+
+  return canvas
+}
+
+const drawWhiteboard = (ctx, width, height) => {
+  const boardWidth = width * whiteboardScale;
+  const boardHeight = height * whiteboardScale;
+  const startX = (width - boardWidth) / 2;
+  const startY = (height - boardHeight) / 2;
+
+  ctx.save();
+
+  ctx.beginPath();
+  ctx.rect(startX, startY, boardWidth, boardHeight);
+  ctx.clip();
+
+  ctx.fillStyle = whiteboardColor;
+  ctx.fillRect(startX, startY, boardWidth, boardHeight);
+
+  ctx.fillStyle = whiteboardDotColor;
+  for (let x = startX + whiteboardDotStep / 2; x < startX + boardWidth; x += whiteboardDotStep) {
+    for (let y = startY + whiteboardDotStep / 2; y < startY + boardHeight; y += whiteboardDotStep) {
+      ctx.beginPath();
+      ctx.arc(x, y, whiteboardDotRadius, 0, 2 * Math.PI);
+      ctx.fill();
+    }
+  }
+
+  ctx.restore();
+}
+
+// NOTE: Returns PNG as "data:image/png;base64,..." string
+export const buildDeskPng = (figures, { width, height, dpr, withWhiteboard }) => {
+  const canvas = createCanvas(width, height, dpr);
+  const offscreenCanvas = createCanvas(width, height, dpr);
+  const ctx = canvas.getContext('2d');
+
+  if (withWhiteboard) {
+    drawWhiteboard(ctx, width, height)
+  }
+
+  figures.forEach((figure) => {
+    drawFigure(ctx, offscreenCanvas, figure, () => {}, false)
+  })
+
+  return canvas.toDataURL('image/png');
+}
@@ -0,0 +1,402 @@
+import {
+  getPerfectPathData,
+  getLazyPoints,
+  distanceBetweenPoints,
+  calcPointsArrow,
+  getBendControlPoint,
+  getFigureMarkers,
+  getEndDirections,
+} from '../../utils/general.js';
+import {
+  hslColor,
+  hslTextGradientStops,
+  strokeDashPattern,
+  rectangleCornerRadius,
+  hasArrowShadow,
+  getMarkerShape,
+} from './figures.js';
+import { getFigureCenter, isFigureFilled } from '../../utils/figureDetection.js';
+import {
+  colorList,
+  widthList,
+  rainbowScaleFactor,
+  highlighterAlpha,
+  semiFillAlpha,
+  hatchSpacing,
+} from '../../constants.js'
+
+const round = (value) => {
+  return Math.round(value * 100) / 100
+}
+
+const escapeXml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+const isRainbow = (figure) => {
+  return colorList[figure.colorIndex].name === 'color_rainbow'
+}
+
+// Mirrors "createGradient" from figures.js
+const createGradient = (defs, figure, pointA, pointB) => {
+  const [_distance, hslStops] = hslTextGradientStops(pointA, pointB, figure.rainbowColorDeg)
+
+  if (hslStops.length === 1) {
+    return hslStops[0]
+  }
+
+  const gradientId = `rainbow-${figure.id}`
+  const stops = hslStops.map((color, index) => {
+    return `<stop offset="${round(index / (hslStops.length - 1))}" stop-color="${color}"/>`
+  })
+
+  defs.push(
+    `<linearGradient id="${gradientId}" gradientUnits="userSpaceOnUse" x1="${round(pointA[0])}" y1="${round(pointA[1])}" x2="${round(pointB[0])}" y2="${round(pointB[1])}">` +
+      stops.join('') +
+    '</linearGradient>'
+  )
+
+  return `url(#${gradientId})`
+}
+
+const figureColor = (defs, figure) => {
+  const [pointA, pointB] = figure.points
+
+  if (isRainbow(figure)) {
+    return createGradient(defs, figure, pointA, pointB)
+  }
+
+  return colorList[figure.colorIndex].color
+}
+
+// Mirrors "fillFigurePath" from figures.js
+const svgFill = (defs, figure, color) => {
+  if (!isFigureFilled(figure)) {
+    return 'fill="none"'
+  }
+
+  switch (figure.fill) {
+    case 'solid':
+      return `fill="${color}"`
+    case 'semi':
+      return `fill="${color}" fill-opacity="${semiFillAlpha}"`
+    case 'hatched': {
+      const patternId = `hatch-${figure.id}`
+
+      defs.push(
+        `<pattern id="${patternId}" patternUnits="userSpaceOnUse" width="${hatchSpacing}" height="${hatchSpacing}" patternTransform="rotate(45)">` +
+          `<line x1="0" y1="0" x2="0" y2="${hatchSpacing}" stroke="${color}" stroke-width="2"/>` +
+        '</pattern>'
+      )
+
+      return `fill="url(#${patternId})"`
+    }
+    default:
+      return 'fill="none"'
+  }
+}
+
+// Mirrors "drawStrokeFill" from figures.js
+const svgStrokeFill = (defs, figure) => {
+  if (!isFigureFilled(figure)) return ''
+
+  const color = isRainbow(figure) ? hslColor(figure.rainbowColorDeg) : colorList[figure.colorIndex].color
+  const pathData = `M ${figure.points.map(([x, y]) => `${round(x)} ${round(y)}`).join(' L ')} Z`
+
+  return `<path d="${pathData}" ${svgFill(defs, figure, color)}/>`
+}
+
+// Mirrors "drawLazyRainbowLine" from figures.js
+const svgLazyRainbowLine = (figure, width) => {
+  const lazyPoints = getLazyPoints(figure.points, { size: width })
+  let colorDeg = figure.rainbowColorDeg
+
+  const segments = []
+
+  lazyPoints.forEach((point, index) => {
+    if (index === 0) return;
+
+    const [x1, y1] = lazyPoints[index - 1]
+    const [x2, y2] = point
+
+    const distance = distanceBetweenPoints([x1, y1], [x2, y2]) * rainbowScaleFactor
+    const color = hslColor(colorDeg + distance / 2)
+
+    segments.push(`<line x1="${round(x1)}" y1="${round(y1)}" x2="${round(x2)}" y2="${round(y2)}" stroke="${color}"/>`)
+
+    colorDeg += distance
+  })
+
+  return segments.join('')
+}
+
+const svgPen = (defs, figure) => {
+  const widthInfo = widthList[figure.widthIndex]
+  const fill = svgStrokeFill(defs, figure)
+
+  if (isRainbow(figure)) {
+    return `${fill}<g fill="none" stroke-width="${widthInfo.rainbow_pen_width}" stroke-linecap="round">${svgLazyRainbowLine(figure, widthInfo.rainbow_pen_width)}</g>`
+  }
+
+  const pathData = getPerfectPathData(figure.points, { size: widthInfo.pen_width })
+
+  return `${fill}<path d="${pathData}" fill="${colorList[figure.colorIndex].color}"/>`
+}
+
+const svgHighlighter = (defs, figure) => {
+  const fill = svgStrokeFill(defs, figure)
+
+  if (fill) {
+    return `<g opacity="${highlighterAlpha}">${fill}</g>${svgHighlighterStroke(figure)}`
+  }
+
+  return svgHighlighterStroke(figure)
+}
+
+const svgHighlighterStroke = (figure) => {
+  const widthInfo = widthList[figure.widthIndex]
+
+  if (isRainbow(figure)) {
+    return `<g opacity="${highlighterAlpha}" fill="none" stroke-width="${widthInfo.highlighter_width}" stroke-linecap="round">${svgLazyRainbowLine(figure, widthInfo.highlighter_width)}</g>`
+  }
+
+  const pathData = getPerfectPathData(figure.points, {
+    size: widthInfo.highlighter_width,
+    simulatePressure: false,
+    thinning: 0.0
+  })
+
+  return `<path d="${pathData}" fill="${colorList[figure.colorIndex].color}" fill-opacity="${highlighterAlpha}"/>`
+}
+
+// Mirrors "strokeDashPattern" from figures.js
+const svgStrokeDash = (figure, width) => {
+  const dash = strokeDashPattern(figure.strokeStyle, width)
+
+  if (dash.length === 0) return ''
+
+  return ` stroke-dasharray="${dash.map(round).join(' ')}"`
+}
+
+// Mirrors "drawMarkers" from figures.js
+const svgMarkers = (figure, color) => {
+  const { points, widthIndex } = figure
+  const markers = getFigureMarkers(figure)
+  const directions = getEndDirections(points)
+  const width = widthList[widthIndex].figure_size
+
+  const shapes = [
+    getMarkerShape(markers.start, points[0], directions.start, widthIndex),
+    figure.type === 'arrow' && markers.end === 'triangle' ? null : getMarkerShape(markers.end, points[1], directions.end, widthIndex),
+  ]
+
+  return shapes.filter(Boolean).map((shape) => {
+    const shapePoints = shape.points.map(([x, y]) => `${round(x)},${round(y)}`).join(' ')
+
+    switch (shape.type) {
+      case 'circle': {
+        const [[centerX, centerY]] = shape.points
+
+        return `<circle cx="${round(centerX)}" cy="${round(centerY)}" r="${round(shape.radius)}" fill="${color}"/>`
+      }
+      case 'polygon':
+        return `<polygon points="${shapePoints}" fill="${color}"/>`
+      default:
+        return `<polyline points="${shapePoints}" fill="none" stroke="${color}" stroke-width="${width}" stroke-linecap="round" stroke-linejoin="round"/>`
+    }
+  }).join('')
+}
+
+const svgArrow = (defs, figure) => {
+  const withHead = getFigureMarkers(figure).end === 'triangle'
+  const { figurePoints, tailPoints } = calcPointsArrow(figure.points, figure.widthIndex, { withHead })
+  const color = figureColor(defs, figure)
+
+  const [firstPoint, ...otherPoints] = figurePoints.map(([x, y]) => `${round(x)} ${round(y)}`)
+  const [tailA, tailB] = tailPoints.map(([x, y]) => `${round(x)} ${round(y)}`)
+
+  const pathData = `M ${firstPoint} L ${otherPoints.join(' L ')} C ${tailA} ${tailB} ${firstPoint} Z`
+
+  const element = `<path d="${pathData}" fill="${color}"/>${svgMarkers(figure, color)}`
+
+  if (hasArrowShadow(figure)) {
+    return `<g filter="url(#arrow-shadow)">${element}</g>`
+  }
+
+  return element
+}
+
+const svgLine = (defs, figure) => {
+  const [[startX, startY], [endX, endY]] = figure.points
+  const color = figureColor(defs, figure)
+  const width = widthList[figure.widthIndex].figure_size
+
+  if (figure.points.length > 2) {
+    const [controlX, controlY] = getBendControlPoint(figure.points)
+    const pathData = `M ${round(startX)} ${round(startY)} Q ${round(controlX)} ${round(controlY)} ${round(endX)} ${round(endY)}`
+
+    return `<path d="${pathData}" fill="none" stroke="${color}" stroke-width="${width}" stroke-linecap="round"${svgStrokeDash(figure, width)}/>${svgMarkers(figure, color)}`
+  }
+
+  return `<line x1="${round(startX)}" y1="${round(startY)}" x2="${round(endX)}" y2="${round(endY)}" stroke="${color}" stroke-width="${width}" stroke-linecap="round"${svgStrokeDash(figure, width)}/>${svgMarkers(figure, color)}`
+}
+
+const svgPolyline = (defs, figure) => {
+  const color = figureColor(defs, figure)
+  const width = widthList[figure.widthIndex].figure_size
+
+  const points = figure.points.map(([x, y]) => `${round(x)},${round(y)}`).join(' ')
+
+  if (figure.closed) {
+    return `<polygon points="${points}" ${svgFill(defs, figure, color)} stroke="${color}" stroke-width="${width}" stroke-linejoin="round" stroke-linecap="round"${svgStrokeDash(figure, width)}/>`
+  }
+
+  return `<polyline points="${points}" fill="none" stroke="${color}" stroke-width="${width}" stroke-linejoin="round" stroke-linecap="round"${svgStrokeDash(figure, width)}/>`
+}
+
+const svgOval = (defs, figure) => {
+  const [[startX, startY], [endX, endY]] = figure.points
+  const color = figureColor(defs, figure)
+  const width = widthList[figure.widthIndex].figure_size
+
+  const radiusX = Math.abs(endX - startX) / 2;
+  const radiusY = Math.abs(endY - startY) / 2;
+  const centerX = Math.min(startX, endX) + radiusX;
+  const centerY = Math.min(startY, endY) + radiusY;
+
+  return `<ellipse cx="${round(centerX)}" cy="${round(centerY)}" rx="${round(radiusX)}" ry="${round(radiusY)}" ${svgFill(defs, figure, color)} stroke="${color}" stroke-width="${width}" stroke-linecap="round"${svgStrokeDash(figure, width)}/>`
+}
+
+const svgRectangle = (defs, figure) => {
+  const [[startX, startY], [endX, endY]] = figure.points
+  const color = figureColor(defs, figure)
+  const width = widthList[figure.widthIndex].figure_size
+
+  const length = Math.abs(endX - startX);
+  const height = Math.abs(endY - startY);
+  const x = Math.min(startX, endX);
+  const y = Math.min(startY, endY);
+
+  const radius = rectangleCornerRadius(figure.cornerRadius, length, height);
+
+  return `<rect x="${round(x)}" y="${round(y)}" width="${round(length)}" height="${round(height)}" rx="${round(radius)}" ${svgFill(defs, figure, color)} stroke="${color}" stroke-width="${width}" stroke-linejoin="round" stroke-linecap="round"${svgStrokeDash(figure, width)}/>`
+}
+
+// Mirrors "drawTextSkeleton" from figures.js
+const svgText = (defs, figure) => {
+  const { points: [[startX, startY]], text, scale, height, widthIndex } = figure
+
+  const widthInfo = widthList[widthIndex]
+  const fontSize = widthInfo.font_size
+  const lineHeight = fontSize * 1.25
+
+  let fontYOffset = widthInfo.font_y_offset_compensation
+  if ((window.devicePixelRatio || 1) > 1) {
+    fontYOffset = widthInfo.font_y_offset_compensation_retina
+  }
+
+  let color = colorList[figure.colorIndex].color
+  if (isRainbow(figure)) {
+    color = createGradient(defs, figure, [0, 0], [0, height]) // Vertical Gradient
+  }
+
+  const lines = text.split('\n').map((line, index) => {
+    return `<tspan x="0" y="${round(index * lineHeight + fontYOffset)}">${escapeXml(line)}</tspan>`
+  })
+
+  return `<text transform="translate(${round(startX)} ${round(startY)}) scale(${round(scale)})" font-family="Excalifont" font-size="${fontSize}" dominant-baseline="text-before-edge" xml:space="preserve" fill="${color}">${lines.join('')}</text>`
+}
+
+const svgImage = (figure) => {
+  const [[startX, startY], [endX, endY]] = figure.points
+
+  const width = Math.abs(endX - startX);
+  const height = Math.abs(endY - startY);
+  const x = Math.min(startX, endX);
+  const y = Math.min(startY, endY);
+
+  return `<image x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}" preserveAspectRatio="none" href="${escapeXml(figure.src)}"/>`
+}
+
+// Mirrors "drawFigure" from figures.js
+const svgFigure = (defs, figure) => {
+  const element = svgFigureSkeleton(defs, figure)
+
+  if (!figure.rotation || !element) {
+    return element
+  }
+
+  const [centerX, centerY] = getFigureCenter(figure)
+  const degrees = figure.rotation * 180 / Math.PI
+
+  return `<g transform="rotate(${round(degrees)} ${round(centerX)} ${round(centerY)})">${element}</g>`
+}
+
+const svgFigureSkeleton = (defs, figure) => {
+  switch (figure.type) {
+    case 'pen':
+      return svgPen(defs, figure)
+    case 'highlighter':
+      return svgHighlighter(defs, figure)
+    case 'arrow':
+      return svgArrow(defs, figure)
+    case 'line':
+      return svgLine(defs, figure)
+    case 'polyline':
+      return svgPolyline(defs, figure)
+    case 'oval':
+      return svgOval(defs, figure)
+    case 'rectangle':
+      return svgRectangle(defs, figure)
+    case 'text':
+      return svgText(defs, figure)
+    case 'image':
+      return svgImage(figure)
+    default:
+      return ''
+  }
+}
+
+export const buildDeskSvg = (figures, { width, height, fontData }) => {
+  const defs = [
+    '<filter id="arrow-shadow" x="-20%" y="-20%" width="140%" height="140%">' +
+      '<feDropShadow dx="1" dy="2" stdDeviation="2" flood-color="#222"/>' +
+    '</filter>',
+  ]
+
+  const body = figures.map(figure => svgFigure(defs, figure))
+
+  if (fontData && figures.some(figure => figure.type === 'text')) {
+    defs.push(`<style>@font-face { font-family: 'Excalifont'; src: url(data:font/woff2;base64,${fontData}) format('woff2'); }</style>`)
+  }
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<defs>${defs.join('')}</defs>`,
+    ...body,
+    '</svg>',
+  ].join('\n')
+}
+
+export const loadFontData = async (url) => {
+  const response = await fetch(url);
+
+  if (!response.ok) {
+    throw new Error(`Font request failed: ${response.status} ${url}`);
+  }
+
+  const buffer = await response.arrayBuffer();
+
+  let binary = '';
+  const bytes = new Uint8Array(buffer);
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+
+  return window.btoa(binary);
+}
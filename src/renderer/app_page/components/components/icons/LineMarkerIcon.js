@@ -0,0 +1,35 @@
+import React from "react";
+
+// NOTE: Marker is drawn at the end of the line, the start marker is mirrored
+const markerElements = {
+  triangle: <polygon points="22,12 14,7 14,17" stroke="none" />,
+  chevron: <polyline points="15,7 20,12 15,17" fill="none" />,
+  dot: <circle cx="19" cy="12" r="3.5" stroke="none" />,
+  bar: <line x1="20" y1="6" x2="20" y2="18" />,
+};
+
+const LineMarkerIcon = ({ marker, side, size, ...props }) => {
+  const computedSize = size ?? "1em";
+
+  return (
+    <svg
+      stroke="currentColor"
+      fill="currentColor"
+      strokeWidth="2"
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      viewBox="0 0 24 24"
+      width={computedSize}
+      height={computedSize}
+      xmlns="http://www.w3.org/2000/svg"
+      {...props}
+    >
+      <g transform={side === "start" ? "matrix(-1 0 0 1 24 0)" : undefined}>
+        <line x1="3" y1="12" x2="19" y2="12" />
+        {markerElements[marker]}
+      </g>
+    </svg>
+  );
+};
+
+export default LineMarkerIcon;
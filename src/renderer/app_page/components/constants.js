@@ -10,6 +10,14 @@ export const fadeOutDurationTimeMsMin = 300;
 export const fadeOutDurationTimeMsMax = 5000;
 export const fadeOutDestroyAfterMs = 300;
 
+export const captureQualityStep = 5;
+export const captureQualityMin = 10;
+export const captureQualityMax = 100;
+
+export const gridSpacingStep = 5;
+export const gridSpacingMin = 10;
+export const gridSpacingMax = 100;
+
 export const eraserTime = 100;
 export const rainbowScaleFactor = 0.03;
 export const minObjectDistance = 5; // Minimum length of drawn object
@@ -18,11 +26,35 @@ export const figureMinScale = 0.2;
 export const pastCooldownMs = 300;
 export const escDoubleTapMs = 300;
 export const SNAP_ANGLE = Math.PI / 12; // 45°
+export const rotationSnapAngle = Math.PI / 12; // 15°
+export const rotateHandleOffset = 25; // Distance from the selection box to the rotate handle
+export const snapThreshold = 6; // Distance at which dragged figures snap to alignment guides
 export const highlighterAlpha = 0.35;
 export const eraserAlpha = 0.5;
+export const imageMaxViewportRatio = 0.6; // Pasted image fits into this part of the screen
+export const imageDropOffset = 20; // Shift between several dropped images
+export const duplicateOffset = 20; // Shift of the duplicated figures
+export const deskFileFormat = 'drawpen';
+export const deskFileVersion = 3;
+export const clipboardFiguresType = 'web application/x-drawpen+json'; // Custom format, readable by any DrawPen instance
+export const clipboardImagePadding = 20; // Space around the copied figures in SVG and PNG
 
 export const brushList = ['pen', 'fadepen'];
-export const shapeList = ['arrow', 'rectangle', 'oval', 'line'];
+export const shapeList = ['arrow', 'rectangle', 'oval', 'line', 'polyline'];
+export const rotatableList = ['arrow', 'rectangle', 'oval', 'line', 'polyline', 'text', 'image'];
+export const fillList = ['none', 'solid', 'semi', 'hatched'];
+export const fillableList = ['rectangle', 'oval', 'polyline', 'pen', 'highlighter']; // Strokes and polylines are filled only when closed
+export const semiFillAlpha = 0.25;
+export const hatchSpacing = 8;
+export const closedStrokeDistance = 30; // Stroke ending this close to its start is closed
+export const polylineCloseDistance = 10; // Click this close to the first vertex closes the polyline
+export const bendStraightenDistance = 5; // Bend handle dropped this close to the middle makes the figure straight
+export const strokeStyleList = ['solid', 'dashed', 'dotted'];
+export const strokeStylableList = ['rectangle', 'oval', 'line', 'polyline'];
+export const cornerRadiusList = [0, 10, 24];
+export const markerList = ['none', 'triangle', 'chevron', 'dot', 'bar'];
+export const markableList = ['arrow', 'line'];
+export const defaultCornerRadius = 10; // Rectangles saved before the radius became adjustable
 
 export const colorList = [
   { color: '#000000', name: 'color_rainbow' },
@@ -41,10 +73,10 @@ export const colorList = [
 //   const offsetY = ((fontSize * lineHeightMultiplier) - fontSize) / 2;
 
 export const widthList = [
-  { pen_width: 4,  highlighter_width: 8,  rainbow_pen_width: 3,  laser_width: [2,   5],  figure_size: 4,  icon_size: 14, name: 'thin',   font_size: 20, font_y_offset_compensation: 4,   font_y_offset_compensation_retina: 4,   font_line_height_compensation: 2,    close_point_distance: 1 },
-  { pen_width: 8,  highlighter_width: 16, rainbow_pen_width: 4,  laser_width: [3,   8],  figure_size: 6,  icon_size: 16, name: 'light',  font_size: 28, font_y_offset_compensation: 5,   font_y_offset_compensation_retina: 5,   font_line_height_compensation: 3,    close_point_distance: 2 },
-  { pen_width: 12, highlighter_width: 24, rainbow_pen_width: 8,  laser_width: [4.5, 12], figure_size: 8,  icon_size: 18, name: 'medium', font_size: 42, font_y_offset_compensation: 6.5, font_y_offset_compensation_retina: 7.5, font_line_height_compensation: 5.25, close_point_distance: 3 },
-  { pen_width: 16, highlighter_width: 32, rainbow_pen_width: 12, laser_width: [6,   16], figure_size: 10, icon_size: 20, name: 'bold',   font_size: 56, font_y_offset_compensation: 9.5, font_y_offset_compensation_retina: 9.5, font_line_height_compensation: 7,    close_point_distance: 4 },
+  { pen_width: 4,  highlighter_width: 8,  rainbow_pen_width: 3,  laser_width: [2,   5],  figure_size: 4,  marker_size: 12, icon_size: 14, name: 'thin',   font_size: 20, font_y_offset_compensation: 4,   font_y_offset_compensation_retina: 4,   font_line_height_compensation: 2,    close_point_distance: 1 },
+  { pen_width: 8,  highlighter_width: 16, rainbow_pen_width: 4,  laser_width: [3,   8],  figure_size: 6,  marker_size: 16, icon_size: 16, name: 'light',  font_size: 28, font_y_offset_compensation: 5,   font_y_offset_compensation_retina: 5,   font_line_height_compensation: 3,    close_point_distance: 2 },
+  { pen_width: 12, highlighter_width: 24, rainbow_pen_width: 8,  laser_width: [4.5, 12], figure_size: 8,  marker_size: 20, icon_size: 18, name: 'medium', font_size: 42, font_y_offset_compensation: 6.5, font_y_offset_compensation_retina: 7.5, font_line_height_compensation: 5.25, close_point_distance: 3 },
+  { pen_width: 16, highlighter_width: 32, rainbow_pen_width: 12, laser_width: [6,   16], figure_size: 10, marker_size: 24, icon_size: 20, name: 'bold',   font_size: 56, font_y_offset_compensation: 9.5, font_y_offset_compensation_retina: 9.5, font_line_height_compensation: 7,    close_point_distance: 4 },
 ]
 
 export const erasedFigureColor = '#D3D3D3'; // lightgray
@@ -0,0 +1,362 @@
+import {
+  colorList,
+  widthList,
+  fillList,
+  strokeStyleList,
+  markerList,
+  deskFileFormat,
+  deskFileVersion,
+} from '../constants.js'
+
+// Fields persisted for every figure type (besides "id" and "type")
+const commonFields = ['colorIndex', 'widthIndex', 'points', 'rainbowColorDeg', 'groupId'];
+
+const figureFields = {
+  pen:         [...commonFields, 'fill'],
+  highlighter: [...commonFields, 'fill'],
+  arrow:       [...commonFields, 'rotation', 'shadow', 'startMarker', 'endMarker'],
+  line:        [...commonFields, 'rotation', 'strokeStyle', 'startMarker', 'endMarker'],
+  polyline:    [...commonFields, 'rotation', 'closed', 'fill', 'strokeStyle'],
+  rectangle:   [...commonFields, 'ratio', 'rotation', 'fill', 'strokeStyle', 'cornerRadius'],
+  oval:        [...commonFields, 'ratio', 'rotation', 'fill', 'strokeStyle'],
+  text:        [...commonFields, 'text', 'width', 'height', 'scale', 'rotation'],
+  image:       [...commonFields, 'src', 'ratio', 'rotation'],
+};
+
+const isFiniteNumber = (value) => {
+  return typeof value === 'number' && Number.isFinite(value)
+}
+
+const isPoint = (point) => {
+  return Array.isArray(point) && point.length === 2 && point.every(isFiniteNumber)
+}
+
+// NOTE: Image data is stored once per desk, figures and history snapshots refer to it by "asset" id
+const createAssetTable = () => {
+  const idsBySrc = new Map();
+  const assets = {};
+
+  const referTo = (src) => {
+    if (!idsBySrc.has(src)) {
+      const id = `image-${idsBySrc.size + 1}`;
+
+      idsBySrc.set(src, id);
+      assets[id] = src;
+    }
+
+    return idsBySrc.get(src)
+  }
+
+  return { assets, referTo }
+}
+
+const resolveAsset = (data, assets) => {
+  if (!data || typeof data !== 'object' || data.asset === undefined) return data
+
+  return { ...data, src: Object.hasOwn(assets, data.asset) ? assets[data.asset] : undefined }
+}
+
+// NOTE: Without the asset table, image data stays in the figure (clipboard)
+const serializeFigure = (figure, assetTable = null) => {
+  const result = { id: figure.id, type: figure.type };
+
+  figureFields[figure.type].forEach((field) => {
+    if (field === 'points') {
+      result.points = figure.points.map(point => [...point]);
+      return
+    }
+
+    if (field === 'src' && assetTable) {
+      result.asset = assetTable.referTo(figure.src);
+      return
+    }
+
+    if (figure[field] !== undefined) {
+      result[field] = figure[field];
+    }
+  });
+
+  return result
+}
+
+const deserializeFigure = (data, index) => {
+  const fail = (reason) => {
+    throw new Error(`Figure #${index + 1}: ${reason}`);
+  }
+
+  if (!data || typeof data !== 'object') fail('invalid figure');
+  if (!figureFields[data.type]) fail(`unsupported figure type "${data.type}"`);
+
+  if (!Array.isArray(data.points) || data.points.length === 0 || !data.points.every(isPoint)) {
+    fail('invalid points');
+  }
+
+  if (!Number.isInteger(data.colorIndex) || !colorList[data.colorIndex]) fail('invalid color');
+  if (!Number.isInteger(data.widthIndex) || !widthList[data.widthIndex]) fail('invalid width');
+
+  if (data.type === 'text') {
+    if (typeof data.text !== 'string') fail('invalid text');
+    if (![data.width, data.height, data.scale].every(isFiniteNumber)) fail('invalid text size');
+  }
+
+  if (data.type === 'polyline' && data.points.length < 2) fail('invalid points');
+  if (['arrow', 'line'].includes(data.type) && ![2, 3].includes(data.points.length)) fail('invalid points');
+
+  if (data.type === 'image') {
+    if (typeof data.src !== 'string' || !data.src.startsWith('data:image/')) fail('invalid image');
+    if (data.points.length < 2) fail('invalid points');
+  }
+
+  const figure = serializeFigure(data);
+
+  if (!isFiniteNumber(figure.rainbowColorDeg)) {
+    figure.rainbowColorDeg = 0;
+  }
+
+  if (figure.groupId !== undefined && !isFiniteNumber(figure.groupId)) {
+    delete figure.groupId;
+  }
+
+  if (figure.rotation !== undefined && !isFiniteNumber(figure.rotation)) {
+    delete figure.rotation;
+  }
+
+  if (figure.type === 'polyline') {
+    figure.closed = figure.closed === true;
+  }
+
+  if (figure.fill !== undefined && !fillList.includes(figure.fill)) {
+    delete figure.fill;
+  }
+
+  if (figure.strokeStyle !== undefined && !strokeStyleList.includes(figure.strokeStyle)) {
+    delete figure.strokeStyle;
+  }
+
+  if (figure.cornerRadius !== undefined && !(isFiniteNumber(figure.cornerRadius) && figure.cornerRadius >= 0)) {
+    delete figure.cornerRadius;
+  }
+
+  if (figure.shadow !== undefined && typeof figure.shadow !== 'boolean') {
+    delete figure.shadow;
+  }
+
+  ['startMarker', 'endMarker'].forEach((field) => {
+    if (figure[field] !== undefined && !markerList.includes(figure[field])) {
+      delete figure[field];
+    }
+  });
+
+  if (['rectangle', 'oval', 'image'].includes(figure.type) && !isFiniteNumber(figure.ratio)) {
+    figure.ratio = 1;
+  }
+
+  return figure
+}
+
+// NOTE: Action is { type: 'add' | 'remove', figures }, { type: 'modify', before, after } (figure snapshots)
+//       or { type: 'reorder', before, after } (figure ids from bottom to top)
+const serializeHistory = (actions, assetTable) => {
+  return actions.map((action) => {
+    if (action.type === 'reorder') {
+      return {
+        type: action.type,
+        before: [...action.before],
+        after: [...action.after],
+      }
+    }
+
+    if (action.type === 'modify') {
+      return {
+        type: action.type,
+        before: action.before.map(figure => serializeFigure(figure, assetTable)),
+        after: action.after.map(figure => serializeFigure(figure, assetTable)),
+      }
+    }
+
+    return {
+      type: action.type,
+      figures: action.figures.map(figure => serializeFigure(figure, assetTable)),
+    }
+  });
+}
+
+const isValidAction = (action) => {
+  if (!action) return false
+
+  if (action.type === 'modify') {
+    return Array.isArray(action.before) && Array.isArray(action.after) && action.before.length === action.after.length
+  }
+
+  if (action.type === 'reorder') {
+    return [action.before, action.after].every(ids => Array.isArray(ids) && ids.every(isFiniteNumber))
+  }
+
+  return ['add', 'remove'].includes(action.type) && Array.isArray(action.figures)
+}
+
+// NOTE: Figures from the history that are still on the desk must be the same objects (as in memory)
+//       Snapshots of the "modify" action are always separate objects
+const deserializeHistory = (actions, figuresById, assets) => {
+  if (!Array.isArray(actions)) return []
+
+  return actions
+    .filter(isValidAction)
+    .map((action) => {
+      if (action.type === 'reorder') {
+        return {
+          type: action.type,
+          before: [...action.before],
+          after: [...action.after],
+        }
+      }
+
+      if (action.type === 'modify') {
+        return {
+          type: action.type,
+          before: action.before.map((data, index) => deserializeFigure(resolveAsset(data, assets), index)),
+          after: action.after.map((data, index) => deserializeFigure(resolveAsset(data, assets), index)),
+        }
+      }
+
+      return {
+        type: action.type,
+        figures: action.figures.map((data, index) => {
+          const figure = deserializeFigure(resolveAsset(data, assets), index);
+
+          return figuresById.get(figure.id) || figure
+        }),
+      }
+    });
+}
+
+const serializePage = (page, withHistory, assetTable) => {
+  const result = {
+    figures: page.figures.map(figure => serializeFigure(figure, assetTable)),
+  };
+
+  if (withHistory) {
+    result.history = {
+      undo: serializeHistory(page.undo, assetTable),
+      redo: serializeHistory(page.redo, assetTable),
+    };
+  }
+
+  return result
+}
+
+const deserializePage = (data, pageIndex, assets) => {
+  if (!data || !Array.isArray(data.figures)) {
+    throw new Error(`Page #${pageIndex + 1}: invalid page`);
+  }
+
+  const figuresById = new Map();
+  let nextId = Date.now();
+
+  const figures = data.figures.map((figureData, index) => {
+    const figure = deserializeFigure(resolveAsset(figureData, assets), index);
+
+    if (!isFiniteNumber(figure.id) || figuresById.has(figure.id)) {
+      figure.id = nextId++;
+    }
+
+    figuresById.set(figure.id, figure);
+
+    return figure
+  });
+
+  const history = data.history || {};
+
+  return {
+    figures,
+    undo: deserializeHistory(history.undo, figuresById, assets),
+    redo: deserializeHistory(history.redo, figuresById, assets),
+  }
+}
+
+// NOTE: Page is { figures, undo, redo }
+export const createEmptyPage = () => {
+  return { figures: [], undo: [], redo: [] }
+}
+
+export const serializeDesk = (pages, { activePageIndex = 0, withHistory = false } = {}) => {
+  const assetTable = createAssetTable();
+
+  const desk = {
+    format: deskFileFormat,
+    version: deskFileVersion,
+    activePage: activePageIndex,
+    pages: pages.map(page => serializePage(page, withHistory, assetTable)),
+    assets: assetTable.assets,
+  };
+
+  return JSON.stringify(desk);
+}
+
+export const deserializeDesk = (content) => {
+  let desk
+
+  try {
+    desk = JSON.parse(content);
+  } catch {
+    throw new Error('The file is not a valid DrawPen desk.');
+  }
+
+  if (!desk || desk.format !== deskFileFormat) {
+    throw new Error('The file is not a valid DrawPen desk.');
+  }
+
+  if (!Number.isInteger(desk.version) || desk.version > deskFileVersion) {
+    throw new Error(`Unsupported desk version: ${desk.version}. Please update DrawPen.`);
+  }
+
+  // NOTE: Version 1 has a single page at the top level
+  const pagesData = desk.version === 1 ? [desk] : desk.pages;
+
+  if (!Array.isArray(pagesData) || pagesData.length === 0) {
+    throw new Error('The file is not a valid DrawPen desk.');
+  }
+
+  // NOTE: Before version 3 image data is stored in the figures
+  const assets = desk.assets && typeof desk.assets === 'object' ? desk.assets : {};
+
+  const pages = pagesData.map((pageData, pageIndex) => deserializePage(pageData, pageIndex, assets));
+
+  let activePageIndex = 0;
+  if (Number.isInteger(desk.activePage) && pages[desk.activePage]) {
+    activePageIndex = desk.activePage;
+  }
+
+  return { pages, activePageIndex }
+}
+
+// NOTE: Copied figures are stored in the system clipboard in the same format as the desk file
+export const serializeClipboardFigures = (figures) => {
+  const clipboard = {
+    format: deskFileFormat,
+    version: deskFileVersion,
+    figures: figures.map(figure => serializeFigure(figure)),
+  };
+
+  return JSON.stringify(clipboard);
+}
+
+export const deserializeClipboardFigures = (content) => {
+  let clipboard
+
+  try {
+    clipboard = JSON.parse(content);
+  } catch {
+    throw new Error('The clipboard has no DrawPen figures.');
+  }
+
+  if (!clipboard || clipboard.format !== deskFileFormat || !Array.isArray(clipboard.figures)) {
+    throw new Error('The clipboard has no DrawPen figures.');
+  }
+
+  if (!Number.isInteger(clipboard.version) || clipboard.version > deskFileVersion) {
+    throw new Error(`Unsupported clipboard version: ${clipboard.version}. Please update DrawPen.`);
+  }
+
+  return clipboard.figures.map(deserializeFigure)
+}
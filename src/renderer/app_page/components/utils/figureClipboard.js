@@ -0,0 +1,64 @@
+import { clipboardFiguresType, clipboardImagePadding } from '../constants.js';
+import { serializeClipboardFigures, deserializeClipboardFigures } from './deskFile.js';
+import { getFiguresBounds } from './figureDetection.js';
+import { cloneFigure } from './general.js';
+import { buildDeskSvg } from '../components/drawer/svgExport.js';
+import { buildDeskPng } from '../components/drawer/pngExport.js';
+import { loadImage } from '../components/drawer/figures.js';
+
+// NOTE: SVG and PNG are cropped to the figures, so they are moved to the top left corner
+const cropFigures = (figures) => {
+  const { minX, minY, maxX, maxY } = getFiguresBounds(figures);
+
+  const offsetX = clipboardImagePadding - Math.floor(minX);
+  const offsetY = clipboardImagePadding - Math.floor(minY);
+
+  return {
+    figures: figures.map((figure) => {
+      const croppedFigure = cloneFigure(figure);
+      croppedFigure.points = croppedFigure.points.map(([x, y]) => [x + offsetX, y + offsetY]);
+
+      return croppedFigure
+    }),
+    width: Math.ceil(maxX) - Math.floor(minX) + clipboardImagePadding * 2,
+    height: Math.ceil(maxY) - Math.floor(minY) + clipboardImagePadding * 2,
+  }
+}
+
+const buildPngBlob = async (figures, { width, height, dpr }) => {
+  // NOTE: Images may be not decoded yet
+  await Promise.allSettled(figures.filter(figure => figure.type === 'image').map(figure => loadImage(figure.src)));
+
+  const dataUrl = buildDeskPng(figures, { width, height, dpr, withWhiteboard: false });
+  const response = await fetch(dataUrl);
+
+  return response.blob()
+}
+
+// NOTE: Puts the figures to the system clipboard in several formats at once:
+//       DrawPen JSON to paste back, SVG for design tools and PNG for chat apps
+export const writeFiguresToClipboard = (figures, { fontData, dpr }) => {
+  const { figures: croppedFigures, width, height } = cropFigures(figures);
+
+  const svg = buildDeskSvg(croppedFigures, { width, height, fontData });
+
+  const item = new ClipboardItem({
+    [clipboardFiguresType]: new Blob([serializeClipboardFigures(figures)], { type: 'application/json' }),
+    'image/svg+xml': new Blob([svg], { type: 'image/svg+xml' }),
+    'image/png': buildPngBlob(croppedFigures, { width, height, dpr }),
+  });
+
+  return navigator.clipboard.write([item])
+}
+
+// NOTE: Returns an empty list when there are no DrawPen figures in the clipboard
+export const readFiguresFromClipboard = async () => {
+  const items = await navigator.clipboard.read();
+  const item = items.find(clipboardItem => clipboardItem.types.includes(clipboardFiguresType));
+
+  if (!item) return []
+
+  const blob = await item.getType(clipboardFiguresType);
+
+  return deserializeClipboardFigures(await blob.text())
+}
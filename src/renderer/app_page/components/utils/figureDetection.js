@@ -4,9 +4,24 @@ import {
   applySoftSnap,
   applyAspectRatioLock,
   calcPointsArrow,
+  rotatePoint,
+  getBendHandlePoint,
+  getCurvePoints,
+  distanceBetweenPoints,
+  getFigureMarkers,
 } from './general.js';
 
-import { dotMargin, figureMinScale, widthList } from '../constants.js'
+import {
+  dotMargin,
+  figureMinScale,
+  widthList,
+  rotatableList,
+  rotationSnapAngle,
+  rotateHandleOffset,
+  fillableList,
+  closedStrokeDistance,
+  bendStraightenDistance,
+} from '../constants.js'
 
 const withinRadius = (x, y) => {
   const radius = 10
@@ -39,9 +54,48 @@ const isOnLine = (x, y, figure) => {
   const baseTolerance = 5;
   const tolerance = baseTolerance + widthList[widthIndex].figure_size / 2
 
+  return isOnCurve(x, y, getCurvePoints(points), tolerance)
+}
+
+const strokeWidth = (figure) => {
+  const widthInfo = widthList[figure.widthIndex]
+
+  if (figure.type === 'highlighter') {
+    return widthInfo.highlighter_width
+  }
+
+  return Math.max(widthInfo.pen_width, widthInfo.rainbow_pen_width)
+}
+
+// NOTE: Tolerance is smaller than for shapes, so a new stroke can be started close to another one
+const isOnStroke = (x, y, figure) => {
+  const { points } = figure
+  const tolerance = 2 + strokeWidth(figure) / 2
+
+  if (isFigureFilled(figure) && isOnPolygon(x, y, points)) {
+    return true
+  }
+
+  if (points.length < 2) {
+    return Math.hypot(x - points[0][0], y - points[0][1]) <= tolerance
+  }
+
   return isOnCurve(x, y, points, tolerance)
 }
 
+const isOverStroke = (x, y, figure) => {
+  const { minX, minY, maxX, maxY } = getLocalBounds(figure);
+
+  return (
+    x >= minX - dotMargin && x <= maxX + dotMargin &&
+    y >= minY - dotMargin && y <= maxY + dotMargin
+  )
+}
+
+const isOnStrokeDots = (x, y, figure) => {
+  return getDotNameOnBounds(x, y, getLocalBounds(figure))
+}
+
 const isOnPolygon = (x, y, points) => {
   let isInside = false
   const total = points.length
@@ -70,12 +124,33 @@ const isOnPolygon = (x, y, points) => {
   return isInside
 }
 
-const isOnArrow = (x, y, figure) => {
-  const { points, widthIndex } = figure
+// NOTE: Closed polyline ends with its first vertex
+const polylinePoints = (figure) => {
+  const { points, closed } = figure
+
+  return closed ? [...points, points[0]] : points
+}
+
+const isOnPolyline = (x, y, figure) => {
+  if (isFigureFilled(figure) && isOnPolygon(x, y, figure.points)) {
+    return true
+  }
 
-  const { figurePoints } = calcPointsArrow(points, widthIndex)
+  const baseTolerance = 5;
+  const tolerance = baseTolerance + widthList[figure.widthIndex].figure_size / 2
+
+  return isOnCurve(x, y, polylinePoints(figure), tolerance)
+}
+
+// NOTE: Filled head of the arrow is its "triangle" end marker
+const arrowOutline = (figure) => {
+  const withHead = getFigureMarkers(figure).end === 'triangle'
 
-  return isOnPolygon(x, y, figurePoints)
+  return calcPointsArrow(figure.points, figure.widthIndex, { withHead }).figurePoints
+}
+
+const isOnArrow = (x, y, figure) => {
+  return isOnPolygon(x, y, arrowOutline(figure))
 }
 
 const isOnOval = (x, y, figure) => {
@@ -94,6 +169,10 @@ const isOnOval = (x, y, figure) => {
     return isOnLine(x, y, figure)
   }
 
+  if (isFigureFilled(figure) && isOverOval(x, y, figure)) {
+    return true
+  }
+
   const normalizedX = (x - centerX) / radiusX;
   const normalizedY = (y - centerY) / radiusY;
 
@@ -112,6 +191,10 @@ const isOnOval = (x, y, figure) => {
 const isOnRectangle = (x, y, figure) => {
   const { points, widthIndex } = figure
 
+  if (isFigureFilled(figure) && isOverRectangle(x, y, figure)) {
+    return true
+  }
+
   const baseTolerance = 5;
   const tolerance = baseTolerance + widthList[widthIndex].figure_size / 2
 
@@ -170,6 +253,7 @@ const isOnTwoDots = (x, y, figure) => {
 
   if (inRadius(a)) return 'pointA'
   if (inRadius(b)) return 'pointB'
+  if (inRadius(getBendHandlePoint(points))) return 'pointBend'
 
   return null
 }
@@ -190,6 +274,21 @@ const isOnFourDots = (x, y, figure) => {
   return null
 }
 
+export const vertexDotName = (index) => `vertex-${index}`
+
+// NOTE: Returns -1 for dots that are not vertices
+export const vertexDotIndex = (dotName) => {
+  const match = /^vertex-(\d+)$/.exec(dotName || '');
+
+  return match ? Number(match[1]) : -1
+}
+
+const isOnVertexDots = (x, y, figure) => {
+  const index = figure.points.findIndex(withinRadius(x, y));
+
+  return index === -1 ? null : vertexDotName(index)
+}
+
 const isOnTextDots = (x, y, figure) => {
   const { points, width, height, scale } = figure
   const startAt = points[0];
@@ -210,17 +309,26 @@ const isOnTextDots = (x, y, figure) => {
 }
 
 export const isOnFigure = (x, y, figure) => {
+  const [localX, localY] = toFigureSpace(figure, x, y);
+
   switch (figure.type) {
+    case 'pen':
+    case 'highlighter':
+      return isOnStroke(localX, localY, figure)
     case 'arrow':
-      return isOnArrow(x, y, figure)
+      return isOnArrow(localX, localY, figure)
     case 'rectangle':
-      return isOnRectangle(x, y, figure)
+      return isOnRectangle(localX, localY, figure)
     case 'oval':
-      return isOnOval(x, y, figure)
+      return isOnOval(localX, localY, figure)
     case 'line':
-      return isOnLine(x, y, figure)
+      return isOnLine(localX, localY, figure)
+    case 'polyline':
+      return isOnPolyline(localX, localY, figure)
     case 'text':
-      return isOverText(x, y, figure)
+      return isOverText(localX, localY, figure)
+    case 'image':
+      return isOverRectangle(localX, localY, figure)
     default:
       return false
   }
@@ -265,11 +373,20 @@ const isOverOval = (x, y, figure) => {
 }
 
 export const isOverFigure = (x, y, figure) => {
+  const [localX, localY] = toFigureSpace(figure, x, y);
+
   switch (figure.type) {
+    case 'pen':
+    case 'highlighter':
+      return isOverStroke(localX, localY, figure)
     case 'rectangle':
-      return isOverRectangle(x, y, figure)
+      return isOverRectangle(localX, localY, figure)
     case 'oval':
-      return isOverOval(x, y, figure)
+      return isOverOval(localX, localY, figure)
+    case 'polyline':
+      return Boolean(figure.closed) && isOnPolygon(localX, localY, figure.points)
+    case 'image':
+      return isOverRectangle(localX, localY, figure)
     // case 'text':
     //   return isOverText(x, y, figure)
     default:
@@ -325,20 +442,27 @@ const isSegmentTouchLine = (segmentPoints, figure) => {
     return true
   }
 
-  return isSegmentIntersectCurve(segmentPoints, points)
+  return isSegmentIntersectCurve(segmentPoints, getCurvePoints(points))
+}
+
+const isSegmentTouchPolyline = (segmentPoints, figure) => {
+  const [eraseAtX, eraseAtY] = segmentPoints.at(-1);
+
+  if (isOnPolyline(eraseAtX, eraseAtY, figure)) {
+    return true
+  }
+
+  return isSegmentIntersectCurve(segmentPoints, polylinePoints(figure))
 }
 
 const isSegmentTouchArrow = (segmentPoints, figure) => {
-  const { points } = figure
   const [eraseAtX, eraseAtY] = segmentPoints.at(-1);
 
   if (isOnArrow(eraseAtX, eraseAtY, figure)) {
     return true
   }
 
-  const { figurePoints } = calcPointsArrow(points, figure.widthIndex)
-
-  return isSegmentIntersectCurve(segmentPoints, figurePoints)
+  return isSegmentIntersectCurve(segmentPoints, arrowOutline(figure))
 }
 
 const isSegmentTouchRectangle = (segmentPoints, figure) => {
@@ -363,6 +487,28 @@ const isSegmentTouchRectangle = (segmentPoints, figure) => {
   return isSegmentIntersectCurve(segmentPoints, allRectPoints)
 }
 
+const isSegmentTouchImage = (segmentPoints, figure) => {
+  const { points } = figure
+  const [eraseAtX, eraseAtY] = segmentPoints.at(-1);
+
+  if (isOverRectangle(eraseAtX, eraseAtY, figure)) {
+    return true
+  }
+
+  const [startX, startY] = points[0];
+  const [endX, endY] = points[1];
+
+  const allRectPoints = [
+    [startX, startY],
+    [endX, startY],
+    [endX, endY],
+    [startX, endY],
+    [startX, startY],
+  ];
+
+  return isSegmentIntersectCurve(segmentPoints, allRectPoints)
+}
+
 const isSegmentTouchText = (segmentPoints, figure) => {
   const [eraseAtX, eraseAtY] = segmentPoints.at(-1);
 
@@ -416,36 +562,55 @@ const isSegmentTouchOval = (segmentPoints, figure) => {
 }
 
 export const areFiguresIntersecting = (eraserFigure, figure) => {
+  // NOTE: Only the last segment of the eraser is checked
+  const segmentPoints = eraserFigure.points.slice(-2).map(([x, y]) => toFigureSpace(figure, x, y));
+
   switch (figure.type) {
     case 'pen':
     case 'highlighter':
     case 'fadepen':
-      return isSegmentTouchCurve(eraserFigure.points, figure)
+      return isSegmentTouchCurve(segmentPoints, figure)
     case 'arrow':
-      return isSegmentTouchArrow(eraserFigure.points, figure)
+      return isSegmentTouchArrow(segmentPoints, figure)
     case 'rectangle':
-      return isSegmentTouchRectangle(eraserFigure.points, figure)
+      return isSegmentTouchRectangle(segmentPoints, figure)
     case 'oval':
-      return isSegmentTouchOval(eraserFigure.points, figure)
+      return isSegmentTouchOval(segmentPoints, figure)
     case 'line':
-      return isSegmentTouchLine(eraserFigure.points, figure)
+      return isSegmentTouchLine(segmentPoints, figure)
+    case 'polyline':
+      return isSegmentTouchPolyline(segmentPoints, figure)
     case 'text':
-      return isSegmentTouchText(eraserFigure.points, figure)
+      return isSegmentTouchText(segmentPoints, figure)
+    case 'image':
+      return isSegmentTouchImage(segmentPoints, figure)
     default:
       return false
   }
 }
 
 export const getDotNameOnFigure = (x, y, figure) => {
+  const [localX, localY] = toFigureSpace(figure, x, y);
+
+  if (rotatableList.includes(figure.type) && withinRadius(localX, localY)(getRotateHandlePoint(figure))) {
+    return 'rotate'
+  }
+
   switch (figure.type) {
+    case 'pen':
+    case 'highlighter':
+      return isOnStrokeDots(localX, localY, figure) // ['pointA', 'pointB', 'pointC', 'pointD', null]
     case 'line':
     case 'arrow':
-      return isOnTwoDots(x, y, figure) // ['pointA', 'pointB', null]
+      return isOnTwoDots(localX, localY, figure) // ['pointA', 'pointB', 'pointBend', null]
+    case 'polyline':
+      return isOnVertexDots(localX, localY, figure) // ['vertex-0', 'vertex-1', ..., null]
     case 'oval':
     case 'rectangle':
-      return isOnFourDots(x, y, figure) // ['pointA', 'pointB', 'pointC', 'pointD', null]
+    case 'image':
+      return isOnFourDots(localX, localY, figure) // ['pointA', 'pointB', 'pointC', 'pointD', null]
     case 'text':
-      return isOnTextDots(x, y, figure) // ['pointA', 'pointB', 'pointC', 'pointD', null]
+      return isOnTextDots(localX, localY, figure) // ['pointAScale', 'pointBScale', 'pointCScale', 'pointDScale', null]
     default:
       return false
   }
@@ -480,8 +645,100 @@ const anchorPoints = {
   ],
 };
 
-export const resizeFigure = (figure, resizingDotName, { x, y, isShiftPressed }) => {
+const dotPoints = {
+  pointA: (f) => f.points[0],
+  pointB: (f) => f.points[1],
+  pointC: (f) => [f.points[0][0], f.points[1][1]],
+  pointD: (f) => [f.points[1][0], f.points[0][1]],
+  ...anchorPoints,
+};
+
+const getDotPoint = (figure, dotName) => {
+  const index = vertexDotIndex(dotName);
+
+  if (index !== -1) {
+    return figure.points[index]
+  }
+
+  return dotPoints[dotName](figure)
+}
+
+// NOTE: Any other vertex stays in place while a vertex is moved, the start stays while the figure is bent
+const getAnchorDotName = (figure, dotName) => {
+  if (vertexDotIndex(dotName) !== -1) {
+    return vertexDotName(vertexDotIndex(dotName) === 0 ? 1 : 0)
+  }
+
+  if (dotName === 'pointBend') {
+    return 'pointA'
+  }
+
+  return oppositeDots[dotName]
+}
+
+const oppositeDots = {
+  pointA: 'pointB',
+  pointB: 'pointA',
+  pointC: 'pointD',
+  pointD: 'pointC',
+  pointAScale: 'pointBScale',
+  pointBScale: 'pointAScale',
+  pointCScale: 'pointDScale',
+  pointDScale: 'pointCScale',
+};
+
+const rotateFigure = (figure, { x, y, isShiftPressed }) => {
+  const [centerX, centerY] = getFigureCenter(figure);
+
+  // NOTE: Rotate handle is above the figure, so its initial angle is -90°
+  let rotation = Math.atan2(y - centerY, x - centerX) + Math.PI / 2;
+
   if (isShiftPressed) {
+    rotation = Math.round(rotation / rotationSnapAngle) * rotationSnapAngle;
+  }
+
+  figure.rotation = ((rotation % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+}
+
+export const resizeFigure = (figure, resizingDotName, { x, y, isShiftPressed }) => {
+  if (resizingDotName === 'rotate') {
+    rotateFigure(figure, { x, y, isShiftPressed })
+    return
+  }
+
+  if (!figure.rotation) {
+    resizeFigureInPlace(figure, resizingDotName, { x, y, isShiftPressed })
+    return
+  }
+
+  // NOTE: Rotated figure is resized in its own space, and then it is moved back,
+  //       so the opposite dot stays at the same place on the screen
+  const anchorDotName = getAnchorDotName(figure, resizingDotName);
+  const [anchorX, anchorY] = toCanvasSpace(figure, getDotPoint(figure, anchorDotName));
+  const [localX, localY] = toFigureSpace(figure, x, y);
+
+  resizeFigureInPlace(figure, resizingDotName, { x: localX, y: localY, isShiftPressed })
+
+  const [movedAnchorX, movedAnchorY] = toCanvasSpace(figure, getDotPoint(figure, anchorDotName));
+
+  dragFigure(figure, { x: movedAnchorX, y: movedAnchorY }, { x: anchorX, y: anchorY })
+}
+
+const resizeFigureInPlace = (figure, resizingDotName, { x, y, isShiftPressed }) => {
+  const vertexIndex = vertexDotIndex(resizingDotName);
+
+  if (vertexIndex !== -1) {
+    moveVertex(figure, vertexIndex, { x, y, isShiftPressed })
+    return
+  }
+
+  if (resizingDotName === 'pointBend') {
+    bendFigure(figure, { x, y })
+    return
+  }
+
+  // NOTE: Image keeps its aspect ratio even without Shift
+  if (isShiftPressed || figure.type === 'image') {
     if (['line', 'arrow'].includes(figure.type)) {
       let pointA = figure.points[0];
       let pointB = figure.points[1];
@@ -497,7 +754,7 @@ export const resizeFigure = (figure, resizingDotName, { x, y, isShiftPressed })
       y = result.y;
     }
 
-    if (['rectangle', 'oval'].includes(figure.type)) {
+    if (['rectangle', 'oval', 'image'].includes(figure.type)) {
       let pointA = figure.points[0];
       let pointB = figure.points[1];
       let pointC = [figure.points[0][0], figure.points[1][1]];
@@ -517,6 +774,14 @@ export const resizeFigure = (figure, resizingDotName, { x, y, isShiftPressed })
     }
   }
 
+  // NOTE: Bend handle follows the middle of the figure, so the curve keeps its shape
+  if (figure.points.length > 2 && ['pointA', 'pointB'].includes(resizingDotName)) {
+    const [dotX, dotY] = dotPoints[resizingDotName](figure);
+
+    figure.points[2][0] += (x - dotX) / 2
+    figure.points[2][1] += (y - dotY) / 2
+  }
+
   switch (resizingDotName) {
     case 'pointA':
       figure.points[0][0] = x
@@ -595,7 +860,71 @@ export const resizeFigure = (figure, resizingDotName, { x, y, isShiftPressed })
   }
 }
 
-const getPointsCenter = (figure) => {
+// NOTE: Handle dropped close to the middle of the straight figure removes the bend
+const bendFigure = (figure, { x, y }) => {
+  const [pointA, pointB] = figure.points;
+  const middlePoint = [(pointA[0] + pointB[0]) / 2, (pointA[1] + pointB[1]) / 2];
+
+  if (distanceBetweenPoints(middlePoint, [x, y]) <= bendStraightenDistance) {
+    figure.points = [pointA, pointB];
+    return
+  }
+
+  figure.points = [pointA, pointB, [x, y]];
+}
+
+// NOTE: With Shift the vertex snaps to the angle from its previous vertex (the next one for the first vertex)
+const moveVertex = (figure, index, { x, y, isShiftPressed }) => {
+  const { points, closed } = figure
+
+  if (isShiftPressed) {
+    let neighbourIndex = index === 0 ? 1 : index - 1;
+    if (index === 0 && closed) neighbourIndex = points.length - 1;
+
+    const [startX, startY] = points[neighbourIndex];
+    const result = applySoftSnap(startX, startY, x, y);
+
+    x = result.x;
+    y = result.y;
+  }
+
+  points[index][0] = x
+  points[index][1] = y
+}
+
+// NOTE: Stroke is closed when it ends close to its start and it is not a short scribble
+export const isStrokeClosed = (figure) => {
+  const { points } = figure
+
+  if (points.length < 3) return false
+
+  const [startX, startY] = points[0];
+  const [endX, endY] = points[points.length - 1];
+
+  if (Math.hypot(endX - startX, endY - startY) > closedStrokeDistance) return false
+
+  const { minX, minY, maxX, maxY } = getLocalBounds(figure);
+
+  return Math.max(maxX - minX, maxY - minY) > closedStrokeDistance
+};
+
+export const isFigureFilled = (figure) => {
+  if (!figure.fill || figure.fill === 'none') return false
+  if (!fillableList.includes(figure.type)) return false
+
+  if (['pen', 'highlighter'].includes(figure.type)) {
+    return isStrokeClosed(figure)
+  }
+
+  if (figure.type === 'polyline') {
+    return Boolean(figure.closed)
+  }
+
+  return true
+};
+
+// NOTE: Bounds of the figure without rotation
+const getLocalBounds = (figure) => {
   let minX = Infinity;
   let minY = Infinity;
   let maxX = -Infinity;
@@ -613,13 +942,193 @@ const getPointsCenter = (figure) => {
     maxY += figure.height * figure.scale
   }
 
+  return { minX, minY, maxX, maxY };
+};
+
+export const getFigureCenter = (figure) => {
+  const { minX, minY, maxX, maxY } = getLocalBounds(figure);
+
   return [(minX + maxX) / 2, (minY + maxY) / 2];
 };
 
-export const moveToCoordinates = (figure, cursorX, cursorY) => {
-  const [centerX, centerY] = getPointsCenter(figure);
+// NOTE: Rotation is made around the center of the figure
+export const toFigureSpace = (figure, x, y) => {
+  if (!figure.rotation) return [x, y]
+
+  return rotatePoint([x, y], getFigureCenter(figure), -figure.rotation)
+};
+
+const toCanvasSpace = (figure, point) => {
+  if (!figure.rotation) return point
+
+  return rotatePoint(point, getFigureCenter(figure), figure.rotation)
+};
+
+export const getRotateHandlePoint = (figure) => {
+  const { minX, minY, maxX } = getLocalBounds(figure);
+
+  return [(minX + maxX) / 2, minY - dotMargin - rotateHandleOffset];
+};
+
+// NOTE: Points that outline the figure on the screen
+const getFigureOutline = (figure) => {
+  let outlinePoints = figure.points
+
+  if (['rectangle', 'oval', 'text', 'image'].includes(figure.type)) {
+    const { minX, minY, maxX, maxY } = getLocalBounds(figure);
+
+    outlinePoints = [[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY]];
+  }
+
+  return outlinePoints.map(point => toCanvasSpace(figure, point))
+};
+
+export const getFigureBounds = (figure) => {
+  if (!figure.rotation) return getLocalBounds(figure)
+
+  const outlinePoints = getFigureOutline(figure);
+
+  return {
+    minX: Math.min(...outlinePoints.map(([x]) => x)),
+    minY: Math.min(...outlinePoints.map(([, y]) => y)),
+    maxX: Math.max(...outlinePoints.map(([x]) => x)),
+    maxY: Math.max(...outlinePoints.map(([, y]) => y)),
+  };
+};
+
+export const getFiguresBounds = (figures) => {
+  return figures.map(getFigureBounds).reduce((result, bounds) => ({
+    minX: Math.min(result.minX, bounds.minX),
+    minY: Math.min(result.minY, bounds.minY),
+    maxX: Math.max(result.maxX, bounds.maxX),
+    maxY: Math.max(result.maxY, bounds.maxY),
+  }));
+};
+
+export const isOverBounds = (x, y, bounds) => {
+  return (
+    x >= bounds.minX - dotMargin && x <= bounds.maxX + dotMargin &&
+    y >= bounds.minY - dotMargin && y <= bounds.maxY + dotMargin
+  )
+};
+
+// NOTE: Returns "groupId" when all figures belong to the same group
+export const getCommonGroupId = (figures) => {
+  if (figures.length < 2) return null
+
+  const { groupId } = figures[0];
+  if (!groupId) return null
+
+  return figures.every(figure => figure.groupId === groupId) ? groupId : null
+};
+
+const boundsDots = ({ minX, minY, maxX, maxY }) => ({
+  pointA: [minX - dotMargin, minY - dotMargin],
+  pointB: [maxX + dotMargin, maxY + dotMargin],
+  pointC: [minX - dotMargin, maxY + dotMargin],
+  pointD: [maxX + dotMargin, minY - dotMargin],
+});
+
+export const getDotNameOnBounds = (x, y, bounds) => {
+  const dots = boundsDots(bounds);
+  const inRadius = withinRadius(x, y)
+
+  return Object.keys(dots).find(dotName => inRadius(dots[dotName])) || null
+};
+
+// NOTE: Stroke is scaled from the snapshot taken when resizing started,
+//       moving the dot over the opposite one flips the stroke
+export const resizeStroke = (figure, snapshot, resizingDotName, { x, y, isShiftPressed }) => {
+  const dots = boundsDots(getLocalBounds(snapshot));
+
+  const [anchorX, anchorY] = dots[oppositeDots[resizingDotName]];
+  const [dotX, dotY] = dots[resizingDotName];
+
+  let scaleX = (x - anchorX) / (dotX - anchorX);
+  let scaleY = (y - anchorY) / (dotY - anchorY);
+
+  if (isShiftPressed) {
+    const scale = Math.max(Math.abs(scaleX), Math.abs(scaleY));
+
+    scaleX = (scaleX < 0 ? -1 : 1) * scale;
+    scaleY = (scaleY < 0 ? -1 : 1) * scale;
+  }
+
+  figure.points = snapshot.points.map(([pointX, pointY]) => [
+    anchorX + (pointX - anchorX) * scaleX,
+    anchorY + (pointY - anchorY) * scaleY,
+  ]);
+};
+
+// NOTE: Direction is "horizontal" or "vertical", figures are mirrored around their common center
+export const flipFigures = (figures, direction) => {
+  const { minX, minY, maxX, maxY } = getFiguresBounds(figures);
+
+  const centerX = (minX + maxX) / 2;
+  const centerY = (minY + maxY) / 2;
+
+  figures.forEach((figure) => {
+    figure.points = figure.points.map(([pointX, pointY]) => {
+      if (direction === 'horizontal') {
+        return [2 * centerX - pointX, pointY]
+      }
+
+      return [pointX, 2 * centerY - pointY]
+    });
+  });
+};
+
+// NOTE: Group is scaled proportionally from the snapshots taken when resizing started
+export const resizeFigures = (figures, snapshots, resizingDotName, { x, y }) => {
+  const dots = boundsDots(getFiguresBounds(snapshots));
+
+  const [anchorX, anchorY] = dots[oppositeDots[resizingDotName]];
+  const [dotX, dotY] = dots[resizingDotName];
+
+  const scaleX = (x - anchorX) / (dotX - anchorX);
+  const scaleY = (y - anchorY) / (dotY - anchorY);
+  const scale = Math.max(figureMinScale, scaleX, scaleY);
+
+  figures.forEach((figure) => {
+    const snapshot = snapshots.find(snapshot => snapshot.id === figure.id);
+    if (!snapshot) return
+
+    figure.points = snapshot.points.map(([pointX, pointY]) => [
+      anchorX + (pointX - anchorX) * scale,
+      anchorY + (pointY - anchorY) * scale,
+    ]);
+
+    if (figure.type === 'text') {
+      figure.scale = snapshot.scale * scale;
+    }
+  });
+};
+
+// NOTE: Figure is selected only when it is fully inside the marquee
+export const isFigureInRectangle = (figure, pointA, pointB) => {
+  const { minX, minY, maxX, maxY } = getFigureBounds(figure);
+
+  return (
+    minX >= Math.min(pointA[0], pointB[0]) && maxX <= Math.max(pointA[0], pointB[0]) &&
+    minY >= Math.min(pointA[1], pointB[1]) && maxY <= Math.max(pointA[1], pointB[1])
+  )
+};
+
+// NOTE: Figure is selected only when it is fully inside the lasso
+export const isFigureInPolygon = (figure, polygonPoints) => {
+  if (polygonPoints.length < 3) return false
+
+  return getFigureOutline(figure).every(([x, y]) => isOnPolygon(x, y, polygonPoints))
+};
+
+// NOTE: Keeps figures positions relative to each other
+export const moveToCoordinates = (figures, cursorX, cursorY) => {
+  const { minX, minY, maxX, maxY } = getFiguresBounds(figures);
+
+  const offsetX = cursorX - (minX + maxX) / 2;
+  const offsetY = cursorY - (minY + maxY) / 2;
 
-  return figure.points.map(([pointX, pointY]) => [pointX + cursorX - centerX, pointY + cursorY - centerY]);
+  return figures.map(figure => figure.points.map(([pointX, pointY]) => [pointX + offsetX, pointY + offsetY]));
 };
 
 export function calculateAspectRatio(figure) {
@@ -0,0 +1,50 @@
+// NOTE: Last figure in the list is drawn on top
+export const reorderFigures = (figures, ids, direction) => {
+  const isSelected = (figure) => ids.includes(figure.id);
+
+  const selected = figures.filter(isSelected);
+  const others = figures.filter(figure => !isSelected(figure));
+
+  switch (direction) {
+    case 'front':
+      return [...others, ...selected]
+    case 'back':
+      return [...selected, ...others]
+    case 'forward': {
+      const result = [...figures];
+
+      // Every selected figure steps over the next not selected one
+      for (let i = result.length - 2; i >= 0; i--) {
+        if (isSelected(result[i]) && !isSelected(result[i + 1])) {
+          [result[i], result[i + 1]] = [result[i + 1], result[i]];
+        }
+      }
+
+      return result
+    }
+    case 'backward': {
+      const result = [...figures];
+
+      for (let i = 1; i < result.length; i++) {
+        if (isSelected(result[i]) && !isSelected(result[i - 1])) {
+          [result[i], result[i - 1]] = [result[i - 1], result[i]];
+        }
+      }
+
+      return result
+    }
+    default:
+      return figures
+  }
+}
+
+// NOTE: Figures missing in "ids" stay on top
+export const sortFiguresByIds = (figures, ids) => {
+  const positionOf = (figure) => {
+    const position = ids.indexOf(figure.id);
+
+    return position === -1 ? ids.length : position
+  }
+
+  return [...figures].sort((figureA, figureB) => positionOf(figureA) - positionOf(figureB));
+}
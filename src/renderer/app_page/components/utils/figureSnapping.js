@@ -0,0 +1,117 @@
+import { dotMargin, snapThreshold } from '../constants.js';
+import { getFigureBounds, vertexDotIndex } from './figureDetection.js';
+
+// NOTE: Edges and center of the bounds along the axis
+const axisValues = ({ minX, minY, maxX, maxY }, axis) => {
+  if (axis === 'x') return [minX, (minX + maxX) / 2, maxX]
+
+  return [minY, (minY + maxY) / 2, maxY]
+}
+
+// NOTE: Target is { value, from, to }: the position on the axis and the extent along the other axis,
+//       the screen center is a target as well
+export const getSnapTargets = (figures, { width, height }) => {
+  const targets = { x: [], y: [] };
+
+  figures.map(getFigureBounds).forEach((bounds) => {
+    axisValues(bounds, 'x').forEach(value => targets.x.push({ value, from: bounds.minY, to: bounds.maxY }));
+    axisValues(bounds, 'y').forEach(value => targets.y.push({ value, from: bounds.minX, to: bounds.maxX }));
+  });
+
+  targets.x.push({ value: width / 2, from: 0, to: height });
+  targets.y.push({ value: height / 2, from: 0, to: width });
+
+  return targets
+}
+
+const findSnapOffset = (values, targets) => {
+  let result = null;
+
+  values.forEach((value) => {
+    targets.forEach((target) => {
+      const offset = target.value - value;
+
+      if (Math.abs(offset) <= snapThreshold && (result === null || Math.abs(offset) < Math.abs(result))) {
+        result = offset;
+      }
+    });
+  });
+
+  return result
+}
+
+// NOTE: Guide is a line from the snapped bounds to every target aligned with them
+const collectGuides = (bounds, targets) => {
+  const guides = [];
+
+  const valuesX = axisValues(bounds, 'x');
+  const valuesY = axisValues(bounds, 'y');
+
+  targets.x
+    .filter(target => valuesX.some(value => Math.abs(value - target.value) < 0.5))
+    .forEach(({ value, from, to }) => {
+      guides.push([[value, Math.min(from, bounds.minY)], [value, Math.max(to, bounds.maxY)]]);
+    });
+
+  targets.y
+    .filter(target => valuesY.some(value => Math.abs(value - target.value) < 0.5))
+    .forEach(({ value, from, to }) => {
+      guides.push([[Math.min(from, bounds.minX), value], [Math.max(to, bounds.maxX), value]]);
+    });
+
+  return guides
+}
+
+// NOTE: Returns the offset that aligns the bounds with the closest targets
+export const snapBounds = (bounds, targets) => {
+  const offsetX = findSnapOffset(axisValues(bounds, 'x'), targets.x) || 0;
+  const offsetY = findSnapOffset(axisValues(bounds, 'y'), targets.y) || 0;
+
+  const snappedBounds = {
+    minX: bounds.minX + offsetX,
+    minY: bounds.minY + offsetY,
+    maxX: bounds.maxX + offsetX,
+    maxY: bounds.maxY + offsetY,
+  };
+
+  return { offsetX, offsetY, guides: collectGuides(snappedBounds, targets) }
+}
+
+// Direction from the figure edge to the dot of the selection box
+const dotDirections = {
+  pointA: [-1, -1],
+  pointB: [1, 1],
+  pointC: [-1, 1],
+  pointD: [1, -1],
+  pointAScale: [-1, -1],
+  pointBScale: [1, 1],
+  pointCScale: [-1, 1],
+  pointDScale: [1, -1],
+};
+
+// NOTE: Offset from the dragged dot to the figure edge. Dots of shapes are placed right on their points,
+//       while dots of text, strokes and groups are "dotMargin" away from the edge
+export const getResizeEdgeOffset = (resizingDotName, hasDotMargin) => {
+  if (vertexDotIndex(resizingDotName) !== -1) return [0, 0] // Vertex is right on its point
+  if (resizingDotName === 'pointBend') return [0, 0]
+
+  const direction = dotDirections[resizingDotName];
+  if (!direction) return null
+
+  const margin = hasDotMargin ? dotMargin : 0;
+
+  return [-direction[0] * margin, -direction[1] * margin]
+}
+
+// NOTE: Snaps the figure edge under the dragged dot
+export const snapResizePoint = ({ x, y }, { resizingDotName, hasDotMargin }, targets) => {
+  const edgeOffset = getResizeEdgeOffset(resizingDotName, hasDotMargin);
+  if (!edgeOffset) return { x, y, guides: [] }
+
+  const edgeX = x + edgeOffset[0];
+  const edgeY = y + edgeOffset[1];
+
+  const { offsetX, offsetY, guides } = snapBounds({ minX: edgeX, minY: edgeY, maxX: edgeX, maxY: edgeY }, targets);
+
+  return { x: x + offsetX, y: y + offsetY, guides }
+}
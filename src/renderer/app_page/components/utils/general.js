@@ -1,11 +1,15 @@
 import { getStroke } from "perfect-freehand";
 import { LazyBrush } from "lazy-brush";
-import { widthList, SNAP_ANGLE } from '../constants.js'
+import { widthList, SNAP_ANGLE, snapThreshold } from '../constants.js'
 
-export function getPerfectPath2D(points, strokeOptions) {
+export function getPerfectPathData(points, strokeOptions) {
   const stroke = getStroke(points, strokeOptions);
 
-  const pathData = getSvgPathFromStroke(stroke);
+  return getSvgPathFromStroke(stroke);
+}
+
+export function getPerfectPath2D(points, strokeOptions) {
+  const pathData = getPerfectPathData(points, strokeOptions);
   return new Path2D(pathData);
 }
 
@@ -104,6 +108,30 @@ export const pointToSegmentDistance = (px, py, pointA, pointB) => {
   }
 }
 
+export const readFileAsDataUrl = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+
+    reader.readAsDataURL(file);
+  });
+}
+
+// NOTE: Encodes PNG bytes into another format (e.g. WebP, which the main process can't do)
+export const encodeImage = async (pngBytes, mimeType, quality) => {
+  const bitmap = await createImageBitmap(new Blob([pngBytes], { type: 'image/png' }));
+
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  const blob = await canvas.convertToBlob({ type: mimeType, quality });
+
+  return new Uint8Array(await blob.arrayBuffer())
+}
+
 export const getMouseCoordinates = (event) => {
   return {
     x: event.nativeEvent.pageX,
@@ -232,17 +260,143 @@ export function applyAspectRatioLock(startX, startY, x, y, ratio) {
   return { x: adjustedX, y: y }; // Інакше тримаємо Y курсора на горизонтальній грані, підганяємо X за ratio.
 }
 
-export const calcPointsArrow = (points, widthIndex) => {
-  const minArrowLength = 20;
-  const minTailSize = 1;
-  const arrowSetup = [
-    { max_scale_length: 100, d1_y: 1, d2_y: 5,  d3_y: 15, d2_x: 13, d3_x: 15 },
-    { max_scale_length: 200, d1_y: 2, d2_y: 7,  d3_y: 21, d2_x: 18, d3_x: 20 },
-    { max_scale_length: 300, d1_y: 3, d2_y: 12, d3_y: 36, d2_x: 38, d3_x: 40 },
-    { max_scale_length: 400, d1_y: 4, d2_y: 17, d3_y: 51, d2_x: 58, d3_x: 60 },
+// NOTE: Guide is { orientation: 'horizontal' | 'vertical', position }. Close guides win over the grid,
+//       without spacing the point snaps to guides only
+export function applyGridSnap(x, y, { spacing, guides = [] }) {
+  const snapValue = (value, orientation) => {
+    const closestGuide = guides
+      .filter(guide => guide.orientation === orientation && Math.abs(guide.position - value) <= snapThreshold)
+      .sort((guideA, guideB) => Math.abs(guideA.position - value) - Math.abs(guideB.position - value))[0];
+
+    if (closestGuide) return closestGuide.position
+    if (spacing) return Math.round(value / spacing) * spacing
+
+    return value
+  }
+
+  return {
+    x: snapValue(x, 'vertical'),
+    y: snapValue(y, 'horizontal'),
+  };
+}
+
+// NOTE: Bent line or arrow keeps the point in the middle of its curve as "points[2]",
+//       the control point of the quadratic curve is derived from it
+export const getBendHandlePoint = (points) => {
+  const [[startX, startY], [endX, endY], bendPoint] = points;
+
+  return bendPoint || [(startX + endX) / 2, (startY + endY) / 2]
+}
+
+export const getBendControlPoint = (points) => {
+  const [[startX, startY], [endX, endY]] = points;
+  const [bendX, bendY] = getBendHandlePoint(points);
+
+  return [2 * bendX - (startX + endX) / 2, 2 * bendY - (startY + endY) / 2]
+}
+
+const quadraticPoint = ([startX, startY], [controlX, controlY], [endX, endY], t) => {
+  const rest = 1 - t;
+
+  return [
+    rest * rest * startX + 2 * rest * t * controlX + t * t * endX,
+    rest * rest * startY + 2 * rest * t * controlY + t * t * endY,
+  ]
+}
+
+// NOTE: Straight figure is a single segment
+export const getCurvePoints = (points, segments = 32) => {
+  const [pointA, pointB] = points;
+
+  if (points.length < 3) return [pointA, pointB]
+
+  const control = getBendControlPoint(points);
+
+  return Array.from({ length: segments + 1 }, (_, index) => quadraticPoint(pointA, control, pointB, index / segments))
+}
+
+const unitVector = ([fromX, fromY], [toX, toY]) => {
+  const length = Math.hypot(toX - fromX, toY - fromY) || 1;
+
+  return [(toX - fromX) / length, (toY - fromY) / length]
+}
+
+const arrowSetup = [
+  { max_scale_length: 100, d1_y: 1, d2_y: 5,  d3_y: 15, d2_x: 13, d3_x: 15 },
+  { max_scale_length: 200, d1_y: 2, d2_y: 7,  d3_y: 21, d2_x: 18, d3_x: 20 },
+  { max_scale_length: 300, d1_y: 3, d2_y: 12, d3_y: 36, d2_x: 38, d3_x: 40 },
+  { max_scale_length: 400, d1_y: 4, d2_y: 17, d3_y: 51, d2_x: 58, d3_x: 60 },
+]
+
+const minArrowLength = 20;
+const minTailSize = 1;
+
+// NOTE: Body follows the curve and gets wider towards the head, the head is straight
+//       and it is oriented along the curve tangent at the end. Without the head ("endSize" is set)
+//       the body goes up to the end
+const calcPointsCurvedArrow = (points, arrow, endSize = null) => {
+  const curvePoints = getCurvePoints(points);
+
+  const distances = [0];
+  for (let i = 1; i < curvePoints.length; i++) {
+    distances.push(distances[i - 1] + distanceBetweenPoints(curvePoints[i - 1], curvePoints[i]));
+  }
+
+  const length = Math.max(distances.at(-1), minArrowLength);
+  const scaleFactor = Math.min(length / arrow.max_scale_length, 1)
+
+  const tailSize = Math.max(arrow.d1_y * scaleFactor, minTailSize)
+  const withHead = endSize === null
+  const headBaseSize = withHead ? arrow.d2_y * scaleFactor : endSize
+  const bodyLength = withHead ? length - arrow.d2_x * scaleFactor : distances.at(-1)
+
+  const [endX, endY] = points[1];
+  const [dirX, dirY] = unitVector(getBendControlPoint(points), points[1]);
+
+  const headPoint = (back, offset) => [
+    endX - back * dirX - offset * dirY,
+    endY - back * dirY + offset * dirX
+  ];
+
+  const leftSide = [];
+  const rightSide = [];
+
+  for (let i = 0; i < curvePoints.length && (distances[i] < bodyLength || !withHead); i++) {
+    const [pointX, pointY] = curvePoints[i];
+    const [tangentX, tangentY] = unitVector(curvePoints[Math.max(i - 1, 0)], curvePoints[Math.min(i + 1, curvePoints.length - 1)]);
+    const size = tailSize + (headBaseSize - tailSize) * distances[i] / (bodyLength || 1);
+
+    leftSide.push([pointX - size * tangentY, pointY + size * tangentX]);
+    rightSide.push([pointX + size * tangentY, pointY - size * tangentX]);
+  }
+
+  const head = !withHead ? [] : [
+    headPoint(arrow.d2_x * scaleFactor, headBaseSize),
+    headPoint(arrow.d3_x * scaleFactor, arrow.d3_y * scaleFactor),
+    [endX, endY],
+    headPoint(arrow.d3_x * scaleFactor, -arrow.d3_y * scaleFactor),
+    headPoint(arrow.d2_x * scaleFactor, -headBaseSize),
   ]
 
+  const [startX, startY] = points[0];
+  const [startDirX, startDirY] = unitVector(points[0], curvePoints[1]);
+
+  const tailPoints = [[-2 * tailSize, -tailSize], [-2 * tailSize, tailSize]].map(([x, y]) => [
+    startX + x * startDirX - y * startDirY,
+    startY + x * startDirY + y * startDirX
+  ]);
+
+  return { figurePoints: [...leftSide, ...head, ...rightSide.reverse()], tailPoints }
+}
+
+// NOTE: Arrow without the head gets as thin as a line at the end, so another marker can be put there
+export const calcPointsArrow = (points, widthIndex, { withHead = true } = {}) => {
   const arrow = arrowSetup[widthIndex]
+  const endSize = widthList[widthIndex].figure_size / 2
+
+  if (points.length > 2) {
+    return calcPointsCurvedArrow(points, arrow, withHead ? null : endSize)
+  }
 
   // ---
 
@@ -280,8 +434,58 @@ export const calcPointsArrow = (points, widthIndex) => {
     ];
   }
 
-  const figurePoints = [d1, d2, d3, d4, d5, d6, d7].map(transformPoint)
+  let figurePoints = [d1, d2, d3, d4, d5, d6, d7].map(transformPoint)
   const tailPoints = [t1, t2].map(transformPoint)
 
+  if (!withHead) {
+    figurePoints = [d1, [length, endSize], [length, -endSize], d7].map(transformPoint)
+  }
+
   return { figurePoints, tailPoints }
 }
+
+// NOTE: Arrows saved before the markers were added have the filled head at the end
+export const getFigureMarkers = (figure) => {
+  return {
+    start: figure.startMarker || 'none',
+    end: figure.endMarker || (figure.type === 'arrow' ? 'triangle' : 'none'),
+  }
+}
+
+// NOTE: Directions point out of the figure at its start and at its end
+export const getEndDirections = (points) => {
+  const control = getBendControlPoint(points);
+
+  return {
+    start: unitVector(control, points[0]),
+    end: unitVector(control, points[1]),
+  }
+}
+
+export const rotatePoint = ([x, y], [centerX, centerY], angle) => {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  return [
+    centerX + (x - centerX) * cos - (y - centerY) * sin,
+    centerY + (x - centerX) * sin + (y - centerY) * cos,
+  ]
+}
+
+// NOTE: Snapshot of the figure for the history (points are copied to avoid mutation)
+export const cloneFigure = (figure) => {
+  return { ...figure, points: figure.points.map(point => [...point]) }
+}
+
+export const areFiguresEqual = (figureA, figureB) => {
+  const keys = new Set([...Object.keys(figureA), ...Object.keys(figureB)]);
+
+  return [...keys].every((key) => {
+    if (key === 'points') {
+      return figureA.points.length === figureB.points.length &&
+        figureA.points.every(([x, y], index) => x === figureB.points[index][0] && y === figureB.points[index][1])
+    }
+
+    return figureA[key] === figureB[key]
+  })
+}
@@ -0,0 +1,51 @@
+const recordingMimeTypes = [
+  'video/webm;codecs=vp9',
+  'video/webm;codecs=vp8',
+  'video/webm',
+];
+
+const recordingTimeSliceMs = 1000;
+
+// NOTE: Screen source is picked by the main process (see "setDisplayMediaRequestHandler")
+// Returns a function that stops the recording
+export const startScreenRecording = async ({ handleData, handleStop }) => {
+  const stream = await navigator.mediaDevices.getDisplayMedia({
+    video: { frameRate: 30 },
+    audio: false,
+  });
+
+  const mimeType = recordingMimeTypes.find(type => MediaRecorder.isTypeSupported(type));
+  const recorder = new MediaRecorder(stream, { mimeType });
+
+  // NOTE: Chunks are written one by one, in the same order as they were recorded
+  let writing = Promise.resolve();
+
+  recorder.ondataavailable = (event) => {
+    if (event.data.size === 0) return
+
+    writing = writing.then(async () => {
+      const buffer = await event.data.arrayBuffer();
+
+      await handleData(new Uint8Array(buffer));
+    });
+  };
+
+  recorder.onstop = () => {
+    stream.getTracks().forEach(track => track.stop());
+
+    writing.then(handleStop);
+  };
+
+  const stopRecording = () => {
+    if (recorder.state === 'inactive') return
+
+    recorder.stop();
+  }
+
+  // NOTE: Source can disappear on its own (e.g. display is disconnected)
+  stream.getVideoTracks().forEach(track => track.addEventListener('ended', stopRecording));
+
+  recorder.start(recordingTimeSliceMs);
+
+  return stopRecording
+}
@@ -6,10 +6,13 @@ console.log('[DRAWPEN]: Main page loading...');
 
 const root = createRoot(document.getElementById('root'));
 
-window.electronAPI.invokeGetSettings().then((settings) => {
+Promise.all([
+  window.electronAPI.invokeGetSettings(),
+  window.electronAPI.invokeGetDeskCheckpoint(),
+]).then(([settings, deskCheckpoint]) => {
   console.log('[DRAWPEN]: Main page settings: ', settings);
 
   root.render(
-    <Application {...settings} />
+    <Application {...settings} desk_checkpoint={deskCheckpoint} />
   );
 })
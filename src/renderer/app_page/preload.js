@@ -6,10 +6,21 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Renderer -> Main
   invokeHideApp: () => ipcRenderer.invoke('hide_app'),
   invokeOpenSettings: () => ipcRenderer.invoke('open_settings'),
-  invokeMakeScreenshot: () => ipcRenderer.invoke('make_screenshot'),
+  invokeMakeScreenshot: (region, destination) => ipcRenderer.invoke('make_screenshot', region, destination),
   invokeOpenNotification: (info) => ipcRenderer.invoke('open_notification', info),
   invokeGetSettings: () => ipcRenderer.invoke('get_settings'),
   invokeSetSettings: (settings) => ipcRenderer.invoke('set_settings', settings),
+  invokeSaveDesk: (content) => ipcRenderer.invoke('save_desk', content),
+  invokeOpenDesk: () => ipcRenderer.invoke('open_desk'),
+  invokeGetDeskCheckpoint: () => ipcRenderer.invoke('get_desk_checkpoint'),
+  invokeSaveDeskCheckpoint: (content) => ipcRenderer.invoke('save_desk_checkpoint', content),
+  invokeSaveSvg: (content) => ipcRenderer.invoke('save_svg', content),
+  invokeSavePng: (dataUrl) => ipcRenderer.invoke('save_png', dataUrl),
+  invokeReadClipboardImage: () => ipcRenderer.invoke('read_clipboard_image'),
+  invokeStartRecording: () => ipcRenderer.invoke('start_recording'),
+  invokeWriteRecording: (chunk) => ipcRenderer.invoke('write_recording', chunk),
+  invokeStopRecording: () => ipcRenderer.invoke('stop_recording'),
+  invokeEncodedImage: (id, bytes, errorMessage) => ipcRenderer.invoke('encoded_image', id, bytes, errorMessage),
 
   // Main -> Renderer
   onResetScreen: (callback) => ipcRenderer.on('reset_screen', callback),
@@ -17,4 +28,11 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onToggleWhiteboard: (callback) => ipcRenderer.on('toggle_whiteboard', callback),
   onRefreshSettings: (callback) => ipcRenderer.on('refresh_settings', callback),
   onShowNotification: (callback) => ipcRenderer.on('show_notification', callback),
+  onSaveDesk: (callback) => ipcRenderer.on('save_desk', callback),
+  onLoadDesk: (callback) => ipcRenderer.on('load_desk', callback),
+  onExportSvg: (callback) => ipcRenderer.on('export_svg', callback),
+  onExportPng: (callback) => ipcRenderer.on('export_png', callback),
+  onStartRegionCapture: (callback) => ipcRenderer.on('start_region_capture', callback),
+  onToggleRecording: (callback) => ipcRenderer.on('toggle_recording', callback),
+  onEncodeImage: (callback) => ipcRenderer.on('encode_image', callback),
 });
@@ -10,6 +10,12 @@ import {
   fadeDisappearAfterMax,
   fadeOutDurationTimeMsMin,
   fadeOutDurationTimeMsMax,
+  captureQualityStep,
+  captureQualityMin,
+  captureQualityMax,
+  gridSpacingStep,
+  gridSpacingMin,
+  gridSpacingMax,
 } from "../../app_page/components/constants.js";
 
 import {
@@ -20,6 +26,7 @@ import {
   IoChevronForward,
   IoColorPaletteOutline,
   IoApps,
+  IoCameraOutline,
 } from "react-icons/io5";
 import { HiSwitchHorizontal } from "react-icons/hi";
 import { FaRegKeyboard } from "react-icons/fa6";
@@ -54,17 +61,28 @@ const ShortcutRow = ({ title, description, hint, shortcut, onCheck, onChange, on
 const Settings = (config) => {
   const [showDrawingBorder, setShowDrawingBorder] = useState(config.show_drawing_border);
   const [showCuteCursor, setShowCuteCursor] = useState(config.show_cute_cursor);
+  const [gridStyle, setGridStyle] = useState(config.grid_style);
+  const [gridSpacing, setGridSpacing] = useState(config.grid_spacing);
+  const [snapToGrid, setSnapToGrid] = useState(config.snap_to_grid);
   const [appIconColor, setAppIconColor] = useState(config.app_icon_color);
   const [fadeDisappearAfterMs, setFadeDisappearAfterMs] = useState(config.fade_disappear_after_ms);
   const [fadeOutDurationTimeMs, setFadeOutDurationTimeMs] = useState(config.fade_out_duration_time_ms);
   const [laserTimeMs, setLaserTimeMs] = useState(config.laser_time);
   const [launchOnLogin, setLaunchOnLogin] = useState(config.launch_on_login);
   const [startsHidden, setStartsHidden] = useState(config.starts_hidden);
+  const [restoreDeskOnStart, setRestoreDeskOnStart] = useState(config.restore_desk_on_start);
+  const [captureDestination, setCaptureDestination] = useState(config.capture_destination);
+  const [captureDirectory, setCaptureDirectory] = useState(config.capture_directory);
+  const [captureFilenameTemplate, setCaptureFilenameTemplate] = useState(config.capture_filename_template);
+  const [appliedCaptureFilenameTemplate, setAppliedCaptureFilenameTemplate] = useState(config.capture_filename_template);
+  const [captureFormat, setCaptureFormat] = useState(config.capture_format);
+  const [captureQuality, setCaptureQuality] = useState(config.capture_quality);
 
   const [showHideApp, setShowHideApp]               = useState({ accelerator: config.key_binding_show_hide_app,        init: config.key_binding_show_hide_app_default });
   const [showHideToolbar, setShowHideToolbar]       = useState({ accelerator: config.key_binding_show_hide_toolbar,    init: config.key_binding_show_hide_toolbar_default });
   const [showHideWhiteboard, setShowHideWhiteboard] = useState({ accelerator: config.key_binding_show_hide_whiteboard, init: config.key_binding_show_hide_whiteboard_default });
   const [clearDesk, setClearDesk]                   = useState({ accelerator: config.key_binding_clear_desk,           init: config.key_binding_clear_desk_default });
+  const [toggleRecording, setToggleRecording]       = useState({ accelerator: config.key_binding_toggle_recording,     init: config.key_binding_toggle_recording_default });
 
   const [mainColor, setMainColor]           = useState(config.swap_colors_indexes[0]);
   const [secondaryColor, setSecondaryColor] = useState(config.swap_colors_indexes[1]);
@@ -99,6 +117,9 @@ const Settings = (config) => {
       case 'key_binding_clear_desk':
         setClearDesk({ ...clearDesk, accelerator });
         break;
+      case 'key_binding_toggle_recording':
+        setToggleRecording({ ...toggleRecording, accelerator });
+        break;
     }
   };
 
@@ -118,6 +139,9 @@ const Settings = (config) => {
       case 'key_binding_clear_desk':
         setClearDesk({ ...clearDesk, accelerator: clearDesk.init });
         break;
+      case 'key_binding_toggle_recording':
+        setToggleRecording({ ...toggleRecording, accelerator: toggleRecording.init });
+        break;
     }
   };
 
@@ -137,6 +161,9 @@ const Settings = (config) => {
       case 'key_binding_clear_desk':
         setClearDesk({ ...clearDesk, accelerator: '[NULL]' });
         break;
+      case 'key_binding_toggle_recording':
+        setToggleRecording({ ...toggleRecording, accelerator: '[NULL]' });
+        break;
     }
   };
 
@@ -154,6 +181,29 @@ const Settings = (config) => {
     window.electronAPI.setShowCuteCursor(nextState);
   };
 
+  const selectGridStyle = (event) => {
+    const style = event.target.value;
+    setGridStyle(style);
+
+    window.electronAPI.setGridStyle(style);
+  }
+
+  const applyGridSpacing = (value) => {
+    const spacing = Math.min(gridSpacingMax, Math.max(gridSpacingMin, Number(value)))
+
+    if (spacing === gridSpacing) return
+
+    setGridSpacing(spacing)
+    window.electronAPI.setGridSpacing(spacing)
+  }
+
+  const toggleSnapToGrid = () => {
+    const nextState = !snapToGrid;
+    setSnapToGrid(nextState);
+
+    window.electronAPI.setSnapToGrid(nextState);
+  };
+
   const toggleLaunch = () => {
     const nextState = !launchOnLogin;
     setLaunchOnLogin(nextState);
@@ -168,6 +218,13 @@ const Settings = (config) => {
     window.electronAPI.setStartsHidden(nextState);
   };
 
+  const toggleRestoreDeskOnStart = () => {
+    const nextState = !restoreDeskOnStart;
+    setRestoreDeskOnStart(nextState);
+
+    window.electronAPI.setRestoreDeskOnStart(nextState);
+  };
+
   const selectAppIconColor = (event) => {
     const iconColor = event.target.value;
     setAppIconColor(iconColor);
@@ -175,6 +232,56 @@ const Settings = (config) => {
     window.electronAPI.setAppIconColor(iconColor);
   }
 
+  const selectCaptureDestination = (event) => {
+    const destination = event.target.value;
+    setCaptureDestination(destination);
+
+    window.electronAPI.setCaptureDestination(destination);
+  }
+
+  const chooseCaptureDirectory = async () => {
+    const directory = await window.electronAPI.chooseCaptureDirectory();
+
+    if (directory) {
+      setCaptureDirectory(directory);
+    }
+  }
+
+  const resetCaptureDirectory = () => {
+    setCaptureDirectory('');
+
+    window.electronAPI.setCaptureDirectory('');
+  }
+
+  const applyCaptureFilenameTemplate = () => {
+    const template = captureFilenameTemplate.trim();
+
+    if (!template) {
+      setCaptureFilenameTemplate(appliedCaptureFilenameTemplate);
+      return
+    }
+
+    setCaptureFilenameTemplate(template);
+    setAppliedCaptureFilenameTemplate(template);
+    window.electronAPI.setCaptureFilenameTemplate(template);
+  }
+
+  const selectCaptureFormat = (event) => {
+    const format = event.target.value;
+    setCaptureFormat(format);
+
+    window.electronAPI.setCaptureFormat(format);
+  }
+
+  const applyCaptureQuality = (value) => {
+    const quality = Math.min(captureQualityMax, Math.max(captureQualityMin, Number(value)))
+
+    if (quality === captureQuality) return
+
+    setCaptureQuality(quality)
+    window.electronAPI.setCaptureQuality(quality)
+  }
+
   const applyLaserTime = (value) => {
     const newLaserTimeMs = Math.min(laserTimeMax, Math.max(laserTimeMin, Number(value)))
 
@@ -257,6 +364,14 @@ const Settings = (config) => {
             Appearance
           </div>
 
+          <div
+            className={`settings-sidebar-item ${activeTab === 'capture' ? 'active' : ''}`}
+            onClick={() => setActiveTab('capture')}
+          >
+            <IoCameraOutline className="icon" />
+            Capture
+          </div>
+
           <div
             className={`settings-sidebar-item ${activeTab === 'application' ? 'active' : ''}`}
             onClick={() => setActiveTab('application')}
@@ -322,6 +437,17 @@ const Settings = (config) => {
                   onRemove={() => removeShortcut('key_binding_clear_desk')}
                 />
 
+                <ShortcutRow
+                  title="Start/Stop Recording"
+                  description="Records the screen to a WebM video"
+                  hint="Global shortcut"
+                  shortcut={toggleRecording}
+                  onCheck={canRegisterShortcut}
+                  onChange={(acc) => applyShortcut('key_binding_toggle_recording', acc)}
+                  onReset={() => resetShortcut('key_binding_toggle_recording')}
+                  onRemove={() => removeShortcut('key_binding_toggle_recording')}
+                />
+
                 <div className="settings-item">
                   <div className="settings-item-info">
                     <div className="settings-item-title">Color Swap</div>
@@ -384,6 +510,68 @@ const Settings = (config) => {
                   </div>
                 </div>
 
+                <div className="settings-item">
+                  <div className="settings-item-info">
+                    <div className="settings-item-title">Grid</div>
+                    <div className="settings-item-description">Press {window.electronAPI.isMac ? 'CMD' : 'CTRL'} + ' to show or hide the grid</div>
+                  </div>
+
+                  <div className="settings-item-control">
+                    <div className="selectbar-container">
+                      <select
+                        className="selectbar"
+                        value={gridStyle}
+                        onChange={selectGridStyle}
+                      >
+                        <option value="dots">Dots</option>
+                        <option value="lines">Lines</option>
+                      </select>
+
+                      <div className="selectbar-arrow">
+                        <IoChevronDown className="icon" />
+                      </div>
+                    </div>
+                  </div>
+                </div>
+
+                <div className="settings-item--nested">
+                  <div className="settings-item">
+                    <div className="settings-item--forward">
+                      <IoChevronForward className="icon" />
+                    </div>
+
+                    <div className="settings-item-info">
+                      <div className="settings-item-title">Grid spacing</div>
+                    </div>
+
+                    <div className="settings-item-control">
+                      <div className="stepper-container">
+                        <div className="stepper-button" onClick={() => applyGridSpacing(gridSpacing - gridSpacingStep)}>
+                          <FaMinus className="stepper-button--icon" />
+                        </div>
+                        <div className="stepper-value">{gridSpacing}px</div>
+                        <div className="stepper-button" onClick={() => applyGridSpacing(gridSpacing + gridSpacingStep)}>
+                          <FaPlus className="stepper-button--icon" />
+                        </div>
+                      </div>
+                    </div>
+                  </div>
+                </div>
+
+                <div className="settings-item">
+                  <div className="settings-item-info">
+                    <div className="settings-item-title">Snap to Grid and Guides</div>
+                    <div className="settings-item-description">Drag guides out of the drawing border edges</div>
+                  </div>
+
+                  <div className="settings-item-control">
+                    <div
+                      className={`toggle ${snapToGrid ? 'active' : ''}`}
+                      onClick={toggleSnapToGrid}
+                    ></div>
+                  </div>
+                </div>
+
                 <div className="settings-item">
                   <div className="settings-item-info">
                     <div className="settings-item-title">Fade start delay</div>
@@ -452,6 +640,131 @@ const Settings = (config) => {
           </div>
         )}
 
+        {activeTab === 'capture' && (
+          <div className="settings-container">
+            <div className="settings-header">
+              <div className="settings-title">Capture</div>
+            </div>
+
+            <div className="settings-content">
+              <div className="settings-section">
+
+                <div className="settings-item">
+                  <div className="settings-item-info">
+                    <div className="settings-item-title">Destination</div>
+                    <div className="settings-item-description">Where Capture Screen puts the image</div>
+                  </div>
+
+                  <div className="settings-item-control">
+                    <div className="selectbar-container">
+                      <select
+                        className="selectbar"
+                        value={captureDestination}
+                        onChange={selectCaptureDestination}
+                      >
+                        <option value="file">Folder</option>
+                        <option value="clipboard">Clipboard</option>
+                        <option value="both">Folder and Clipboard</option>
+                      </select>
+
+                      <div className="selectbar-arrow">
+                        <IoChevronDown className="icon" />
+                      </div>
+                    </div>
+                  </div>
+                </div>
+
+                <div className="settings-item">
+                  <div className="settings-item-info">
+                    <div className="settings-item-title">Folder</div>
+                    <div className="settings-item-description settings-item-description--path" title={captureDirectory || config.capture_directory_default}>
+                      {captureDirectory || config.capture_directory_default}
+                    </div>
+                  </div>
+
+                  <div className="settings-item-control">
+                    { captureDirectory && <IoRefreshCircleOutline className="icon" title="Reset to Desktop" onClick={resetCaptureDirectory} /> }
+
+                    <button className="button" onClick={chooseCaptureDirectory}>Choose...</button>
+                  </div>
+                </div>
+
+                <div className="settings-item">
+                  <div className="settings-item-info">
+                    <div className="settings-item-title">File name</div>
+                    <div className="settings-item-description">{'Tokens: {date}, {time}, {display}, {counter}'}</div>
+                  </div>
+
+                  <div className="settings-item-control">
+                    <input
+                      className="textbar"
+                      type="text"
+                      spellCheck={false}
+                      value={captureFilenameTemplate}
+                      onChange={(event) => setCaptureFilenameTemplate(event.target.value)}
+                      onBlur={applyCaptureFilenameTemplate}
+                      onKeyDown={(event) => event.key === 'Enter' && event.target.blur()}
+                    />
+                  </div>
+                </div>
+
+                <div className="settings-item">
+                  <div className="settings-item-info">
+                    <div className="settings-item-title">Image format</div>
+                  </div>
+
+                  <div className="settings-item-control">
+                    <div className="selectbar-container">
+                      <select
+                        className="selectbar"
+                        value={captureFormat}
+                        onChange={selectCaptureFormat}
+                      >
+                        <option value="png">PNG</option>
+                        <option value="jpeg">JPEG</option>
+                        <option value="webp">WebP</option>
+                      </select>
+
+                      <div className="selectbar-arrow">
+                        <IoChevronDown className="icon" />
+                      </div>
+                    </div>
+                  </div>
+                </div>
+
+                {
+                  captureFormat !== 'png' &&
+                    <div className="settings-item--nested">
+                      <div className="settings-item">
+                        <div className="settings-item--forward">
+                          <IoChevronForward className="icon" />
+                        </div>
+
+                        <div className="settings-item-info">
+                          <div className="settings-item-title">Quality</div>
+                          <div className="settings-item-description">Lower quality makes smaller files</div>
+                        </div>
+
+                        <div className="settings-item-control">
+                          <div className="stepper-container">
+                            <div className="stepper-button" onClick={() => applyCaptureQuality(captureQuality - captureQualityStep)}>
+                              <FaMinus className="stepper-button--icon" />
+                            </div>
+                            <div className="stepper-value">{captureQuality}%</div>
+                            <div className="stepper-button" onClick={() => applyCaptureQuality(captureQuality + captureQualityStep)}>
+                              <FaPlus className="stepper-button--icon" />
+                            </div>
+                          </div>
+                        </div>
+                      </div>
+                    </div>
+                }
+
+              </div>
+            </div>
+          </div>
+        )}
+
         {activeTab === 'application' && (
           <div className="settings-container">
             <div className="settings-header">
@@ -535,6 +848,20 @@ const Settings = (config) => {
                   </div>
                 </div>
 
+                <div className="settings-item">
+                  <div className="settings-item-info">
+                    <div className="settings-item-title">Restore desk on launch</div>
+                    <div className="settings-item-description">Reopens drawings from the previous session</div>
+                  </div>
+
+                  <div className="settings-item-control">
+                    <div
+                      className={`toggle ${restoreDeskOnStart ? 'active' : ''}`}
+                      onClick={toggleRestoreDeskOnStart}
+                    ></div>
+                  </div>
+                </div>
+
                 <div className="settings-item">
                   <div className="settings-item-info">
                     <div className="settings-item-title">Launch on system startup</div>
@@ -10,9 +10,19 @@ contextBridge.exposeInMainWorld('electronAPI', {
   canRegisterShortcut: (accelerator) => ipcRenderer.invoke('can_register_shortcut', accelerator),
   setLaunchOnLogin: (value) => ipcRenderer.invoke('set_launch_on_login', value),
   setStartsHidden: (value) => ipcRenderer.invoke('set_starts_hidden', value),
+  setRestoreDeskOnStart: (value) => ipcRenderer.invoke('set_restore_desk_on_start', value),
+  setCaptureDestination: (value) => ipcRenderer.invoke('set_capture_destination', value),
+  chooseCaptureDirectory: () => ipcRenderer.invoke('choose_capture_directory'),
+  setCaptureDirectory: (value) => ipcRenderer.invoke('set_capture_directory', value),
+  setCaptureFilenameTemplate: (value) => ipcRenderer.invoke('set_capture_filename_template', value),
+  setCaptureFormat: (value) => ipcRenderer.invoke('set_capture_format', value),
+  setCaptureQuality: (value) => ipcRenderer.invoke('set_capture_quality', value),
   resetToOriginals: () => ipcRenderer.invoke('reset_to_originals'),
   setShowDrawingBorder: (value) => ipcRenderer.invoke('set_show_drawing_border', value),
   setShowCuteCursor: (value) => ipcRenderer.invoke('set_show_cute_cursor', value),
+  setGridStyle: (value) => ipcRenderer.invoke('set_grid_style', value),
+  setGridSpacing: (value) => ipcRenderer.invoke('set_grid_spacing', value),
+  setSnapToGrid: (value) => ipcRenderer.invoke('set_snap_to_grid', value),
   setLaserTimeMs: (value) => ipcRenderer.invoke('set_laser_time', value),
   setAppIconColor: (value) => ipcRenderer.invoke('set_app_icon_color', value),
   setSwapColors: (value) => ipcRenderer.invoke('set_swap_colors', value),